@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import chalk from 'chalk';
+import Model from '../src/utils/google-ai-integration.js';
+import { ModelError } from '../src/utils/model-error.js';
+
+/**
+ * Exercises the resilience of model calls against a local stub of the Gemini API:
+ * retries with backoff, timeouts, error classification, blocked answers and the
+ * continuation of answers cut off at the output token limit. No credentials or
+ * network access are needed.
+ */
+
+// Scripted replies for the next requests: a streamed answer, an HTTP error, a hang or a dropped connection
+let replies = [];
+let requests = 0;
+
+const answer = (text, finishReason = 'STOP') => ({
+  chunks: [{ candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason }] }]
+});
+const failure = (status, code, message, details) => ({
+  status,
+  body: { error: { code: status, message, status: code, ...(details ? { details } : {}) } }
+});
+
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    requests++;
+    const reply = replies.shift() ?? failure(500, 'INTERNAL', 'No scripted reply left');
+    if (reply.hang) return;
+    if (reply.drop) return req.socket.destroy();
+    if (reply.status) {
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(reply.body));
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const chunk of reply.chunks) res.write(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+    res.end();
+  });
+});
+
+const scenario = async (title, scripted, check) => {
+  replies = [...scripted];
+  requests = 0;
+  console.log(chalk.cyan(`\n${title}`));
+  const model = new Model({
+    provider: 'gemini',
+    apiKey: 'stub',
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    cassette: null,
+    maxRetries: 2,
+    retryBaseDelayMs: 50,
+    timeoutMs: 500,
+    generationConfig: { maxOutputTokens: 100 }
+  });
+
+  let outcome;
+  try {
+    outcome = { text: await model.generateContent('Hello') };
+  } catch (error) {
+    outcome = { error };
+  }
+  const problem = check({ ...outcome, requests });
+  if (problem) throw new Error(`${title}: ${problem}`);
+  console.log(chalk.green(`✅ ${outcome.error ? `${outcome.error.code}: ${outcome.error.message}` : outcome.text} (${requests} requests)`));
+};
+
+const expectText = (expected, count) => ({ text, error, requests }) => {
+  if (error) return `failed with ${error.code ?? error.name}: ${error.message}`;
+  if (text !== expected) return `answered ${JSON.stringify(text)}`;
+  if (requests !== count) return `sent ${requests} requests instead of ${count}`;
+  return null;
+};
+
+const expectError = (code, count) => ({ error, requests }) => {
+  if (!(error instanceof ModelError)) return `expected a ${code} ModelError, got ${error ? error.message : 'an answer'}`;
+  if (error.code !== code) return `classified as ${error.code} instead of ${code}: ${error.message}`;
+  if (requests !== count) return `sent ${requests} requests instead of ${count}`;
+  return null;
+};
+
+const runStubExamples = async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await scenario('🔁 Rate limit, then success',
+      [failure(429, 'RESOURCE_EXHAUSTED', 'Too many requests'), answer('Hi!')],
+      expectText('Hi!', 2));
+
+    await scenario('⏳ Server error twice, then success',
+      [failure(503, 'UNAVAILABLE', 'Overloaded'), failure(500, 'INTERNAL', 'Oops'), answer('Recovered')],
+      expectText('Recovered', 3));
+
+    await scenario('🛑 Retries give up',
+      [failure(503, 'UNAVAILABLE', 'Overloaded'), failure(503, 'UNAVAILABLE', 'Overloaded'), failure(503, 'UNAVAILABLE', 'Overloaded')],
+      expectError('SERVER', 3));
+
+    await scenario('💳 Daily quota is not retried',
+      [failure(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded', [{ quotaId: 'GenerateRequestsPerDayPerProjectPerModel' }])],
+      expectError('QUOTA_EXCEEDED', 1));
+
+    await scenario('🚫 Invalid argument is not retried',
+      [failure(400, 'INVALID_ARGUMENT', 'maxOutputTokens must be positive')],
+      expectError('INVALID_ARGUMENT', 1));
+
+    await scenario('🔑 Authentication failure',
+      [failure(403, 'PERMISSION_DENIED', 'API key not valid')],
+      expectError('AUTHENTICATION', 1));
+
+    await scenario('⌛ Hanging request times out, then success',
+      [{ hang: true }, answer('Finally')],
+      expectText('Finally', 2));
+
+    await scenario('🔌 Dropped connection, then success',
+      [{ drop: true }, answer('Reconnected')],
+      expectText('Reconnected', 2));
+
+    await scenario('🦺 Answer withheld by the safety filters',
+      [answer('', 'SAFETY')],
+      expectError('SAFETY_BLOCKED', 1));
+
+    await scenario('🦺 Prompt blocked',
+      [{ chunks: [{ promptFeedback: { blockReason: 'PROHIBITED_CONTENT' } }] }],
+      expectError('SAFETY_BLOCKED', 1));
+
+    await scenario('✂️ Truncated answer is continued',
+      [answer('The first half, ', 'MAX_TOKENS'), answer('and the second half.')],
+      expectText('The first half, and the second half.', 2));
+
+    await scenario('✂️ Output limit reached before any text',
+      [answer('', 'MAX_TOKENS')],
+      expectError('MAX_TOKENS', 1));
+
+    console.log(chalk.green('\n✅ All stub scenarios behaved as expected!'));
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log(chalk.blue.bold('🧪 Gemini Resilience Against a Local Stub Server'));
+  runStubExamples().catch(error => {
+    console.error(chalk.red('❌ Stub example failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+export { runStubExamples };
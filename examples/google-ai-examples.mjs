@@ -133,6 +133,36 @@ user: Can you give me a practical example?`;
     console.log(conversationResponse);
     console.log('\n' + '='.repeat(80) + '\n');
 
+    // Example 6b: Function calling with multi-turn contents
+    console.log(chalk.cyan('🛠️ Example 6b: Function Calling'));
+    const toolModel = new Model({ generationConfig: { temperature: 0 } });
+    const tools = [{
+      name: 'get_order_count',
+      description: 'Returns the number of orders placed in a given year',
+      parameters: {
+        type: 'OBJECT',
+        properties: { year: { type: 'INTEGER', description: 'Four digit year' } },
+        required: ['year']
+      }
+    }];
+    const contents = [{ role: 'user', parts: [{ text: 'How many orders were placed in 2024?' }] }];
+
+    const callTurn = await toolModel.generateTurn(contents, { tools });
+    console.log(chalk.gray('Function calls:'), JSON.stringify(callTurn.functionCalls));
+    if (callTurn.functionCalls.length > 0) {
+      // Answer every call and let the model finish with the results
+      contents.push(callTurn.content, {
+        role: 'user',
+        parts: callTurn.functionCalls.map(({ id, name }) => ({
+          functionResponse: { id, name, response: { count: 1234 } }
+        }))
+      });
+      const answerTurn = await toolModel.generateTurn(contents, { tools });
+      console.log(chalk.green('Response:'));
+      console.log(answerTurn.text);
+    }
+    console.log('\n' + '='.repeat(80) + '\n');
+
     // Example 7: Different model comparison (if available)
     console.log(chalk.cyan('🔄 Example 7: Model Configuration Display'));
     const configModel = new Model({
@@ -1,4 +1,5 @@
 import MongoDBIntegration from '../src/utils/mongodb-integration.js';
+import MongoGuard from '../src/utils/mongo-guard.js';
 import chalk from 'chalk';
 
 /**
@@ -39,7 +40,24 @@ async function runMongoDBExamples() {
       console.log(chalk.yellow('⚠️ Could not list databases'));
     }
 
-    mongodb.close();
+    // Example 4: Scripts rejected on a read-only database (static check, no connection needed)
+    console.log(chalk.cyan('\n📋 Example 4: Write protection on a read-only database'));
+    const guard = new MongoGuard({ connectionString: 'mongodb://localhost/monitoring', databases: { monitoring: 'read-only' } });
+    const rejectedScripts = [
+      'db.users.deleteMany({})',
+      'db.users["deleteMany"]({})',
+      'const f = "drop"; db.users[f]()',
+      'db.users.deleteMany?.({})',
+      'const f = db.users.deleteMany; f.call(db.users, {})',
+      'db.users.updateOne`x`'
+    ];
+    for (const script of rejectedScripts) {
+      const { action } = guard.evaluate(script);
+      const report = action === 'reject' ? chalk.green : chalk.red;
+      console.log(report(`${action === 'reject' ? '✅ rejected' : `❌ ${action}`}: ${script}`));
+    }
+
+    await mongodb.close();
 
     console.log(chalk.green('\n✅ All mongoshEval examples completed successfully!'));
     
@@ -0,0 +1,47 @@
+import MySQLIntegration from '../src/utils/mysql-integration.js';
+
+const testMySQL = async () => {
+  try {
+    console.log('🔍 Testing MySQL connection...');
+    const mysql = new MySQLIntegration();
+
+    // Test 1: Get current timestamp
+    console.log('\n📅 Test 1: Getting current timestamp');
+    const { rows: timeResult } = await mysql.executeQuery('SELECT NOW() AS now');
+    console.log('Current time:', timeResult[0].now);
+
+    // Test 2: Get server version
+    console.log('\n🔧 Test 2: Getting server version');
+    const { rows: versionResult } = await mysql.executeQuery('SELECT VERSION() AS version');
+    console.log(`${mysql.dialect} version:`, versionResult[0].version);
+
+    // Test 3: List databases
+    console.log('\n📊 Test 3: Listing databases');
+    const { rows: dbResult } = await mysql.executeQuery('SHOW DATABASES');
+    console.log('Available databases:', dbResult.map(row => row.Database));
+
+    // Test 4: List tables in the current database
+    console.log('\n📋 Test 4: Listing tables in the current database');
+    const { rows: tableResult } = await mysql.executeQuery('SELECT table_name AS name FROM information_schema.tables WHERE table_schema = DATABASE()');
+    console.log('Available tables:', tableResult.map(row => row.name));
+
+    // Test 5: Column metadata and the row cap
+    console.log('\n🏷️ Test 5: Column types and truncation');
+    const series = await mysql.executeQuery(
+      'WITH RECURSIVE g(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM g WHERE n < 10) SELECT n, NOW() AS at FROM g',
+      { maxRows: 3 }
+    );
+    console.log('Columns:', series.columns.map(({ name, type }) => `${name} ${type}`).join(', '));
+    console.log(`Rows: ${series.rowCount}${series.truncated ? ' (truncated)' : ''}`);
+
+    console.log('\n✅ All tests completed successfully!');
+
+    // Close the connection
+    await mysql.close();
+    console.log('🔌 Connection closed.');
+  } catch (error) {
+    console.error('❌ MySQL test failed:', error.message);
+  }
+};
+
+testMySQL();
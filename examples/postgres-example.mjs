@@ -7,24 +7,30 @@ const testPostgres = async () => {
     
     // Test 1: Get current timestamp
     console.log('\n📅 Test 1: Getting current timestamp');
-    const timeResult = await pg.executeQuery('SELECT NOW()');
+    const { rows: timeResult } = await pg.executeQuery('SELECT NOW()');
     console.log('Current time:', timeResult[0].now);
     
     // Test 2: Get PostgreSQL version
     console.log('\n🔧 Test 2: Getting PostgreSQL version');
-    const versionResult = await pg.executeQuery('SELECT version()');
+    const { rows: versionResult } = await pg.executeQuery('SELECT version()');
     console.log('PostgreSQL version:', versionResult[0].version);
     
     // Test 3: List databases
     console.log('\n📊 Test 3: Listing databases');
-    const dbResult = await pg.executeQuery('SELECT datname FROM pg_database WHERE datistemplate = false');
+    const { rows: dbResult } = await pg.executeQuery('SELECT datname FROM pg_database WHERE datistemplate = false');
     console.log('Available databases:', dbResult.map(row => row.datname));
 
     // Test 4: List tables in the current database
     console.log('\n📋 Test 4: Listing tables in the current database');
-    const tableResult = await pg.executeQuery("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'");
+    const { rows: tableResult } = await pg.executeQuery("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'");
     console.log('Available tables:', tableResult.map(row => row.table_name));
 
+    // Test 5: Column metadata and the row cap
+    console.log('\n🏷️ Test 5: Column types and truncation');
+    const series = await pg.executeQuery('SELECT g AS n, now() AS at FROM generate_series(1, 10) g', { maxRows: 3 });
+    console.log('Columns:', series.columns.map(({ name, type }) => `${name} ${type}`).join(', '));
+    console.log(`Rows: ${series.rowCount}${series.truncated ? ' (truncated)' : ''}`);
+
     console.log('\n✅ All tests completed successfully!');
     
     // Close the connection
@@ -0,0 +1,41 @@
+import SqliteIntegration from '../src/utils/sqlite-integration.js';
+
+const testSqlite = async () => {
+  let sqlite;
+  try {
+    console.log('🔍 Testing SQLite file...');
+    sqlite = new SqliteIntegration();
+
+    // Test 1: Get SQLite version
+    console.log('\n🔧 Test 1: Getting SQLite version');
+    const { rows: versionResult } = await sqlite.executeQuery('SELECT sqlite_version() AS version');
+    console.log('SQLite version:', versionResult[0].version);
+
+    // Test 2: List tables and views
+    console.log('\n📋 Test 2: Listing tables and views');
+    const { tables } = await sqlite.describeSchema();
+    console.log('Available tables:', tables.map(({ name, kind }) => `${name} (${kind})`));
+
+    // Test 3: Column metadata and the row cap
+    console.log('\n🏷️ Test 3: Column types and truncation');
+    const series = await sqlite.executeQuery(
+      'WITH RECURSIVE g(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM g WHERE n < 10) SELECT n, datetime() AS at FROM g',
+      { maxRows: 3 }
+    );
+    console.log('Columns:', series.columns.map(({ name, type }) => `${name} ${type}`).join(', '));
+    console.log(`Rows: ${series.rowCount}${series.truncated ? ' (truncated)' : ''}`);
+
+    // Test 4: Writes are rejected in read-only mode
+    console.log('\n🛡️ Test 4: Guarding writes');
+    console.log(sqlite.inspectQuery('DROP TABLE users').map(({ category, allowed }) => `${category}: ${allowed ? 'allowed' : 'rejected'}`));
+
+    console.log('\n✅ All tests completed successfully!');
+  } catch (error) {
+    console.error('❌ SQLite test failed:', error.message);
+  } finally {
+    await sqlite?.close();
+    console.log('🔌 File closed.');
+  }
+};
+
+testSqlite();
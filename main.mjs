@@ -5,122 +5,84 @@ import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { promises as fs } from 'fs';
 import Model from './src/utils/google-ai-integration.js';
-import MongoDBIntegration from './src/utils/mongodb-integration.js';
-import PostgresIntegration from './src/utils/postgres-integration.js';
+import { ModelError } from './src/utils/model-error.js';
+import AgentTools from './src/utils/agent-tools.js';
+import DataSources, { DataSourceError, DATA_SOURCE_TYPES } from './src/utils/data-sources.js';
+import QueryApproval, { APPROVAL_MODES } from './src/utils/query-approval.js';
+import Cassette from './src/utils/cassette.js';
+import SchemaCatalog from './src/utils/schema-catalog.js';
+import AgentBudget from './src/utils/agent-budget.js';
+import UsageTracker from './src/utils/usage-tracker.js';
+import { estimateTokens } from './src/utils/tokens.js';
+import ContextBuilder from './src/utils/context-builder.js';
+import StreamRenderer from './src/utils/stream-renderer.js';
+import MarkdownRenderer from './src/utils/markdown-renderer.js';
+import ResultViewer from './src/utils/result-viewer.js';
+import ResultExporter from './src/utils/result-exporter.js';
+import SessionManager from './src/utils/session-manager.js';
 
 dotenv.config();
 
-const SAVE_FILE = './save/last_session.json';
-const SAVE_FOLDER = './save';
-const MAX_HISTORY_DISPLAY = 10;
-
-class SessionManager {
-  #conversationHistory = [];
-
-  constructor() {
-    console.log('📝 Session manager initialized');
-  }
-
-  addMessage(role, content) {
-    this.#conversationHistory.push({
-      role,
-      content,
-      timestamp: new Date().toISOString()
-    });
-  }
-
-  getConversationHistory() {
-    return [...this.#conversationHistory];
-  }
-
-  clearHistory() {
-    this.#conversationHistory.length = 0;
-    console.log(chalk.green('🧹 History cleared'));
-  }
-
-  async autoLoad() {
-    try {
-      const data = await fs.readFile(SAVE_FILE, 'utf8');
-      const session = JSON.parse(data);
-      this.#conversationHistory = session.conversationHistory ?? [];
+/**
+ * Returns the value following a `--name` command line flag
+ */
+const cliOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
 
-      if (this.#conversationHistory.length > 0) {
-        console.log(chalk.gray(`📚 Loaded ${this.#conversationHistory.length} previous messages`));
-      }
-    } catch (error) {
-      console.log(chalk.gray('📝 Starting fresh session'));
-    }
+// `--record <file>` and `--replay <file>` take precedence over CASSETTE_MODE/CASSETTE_FILE
+for (const mode of ['record', 'replay']) {
+  if (cliOption(mode)) {
+    process.env.CASSETTE_MODE = mode;
+    process.env.CASSETTE_FILE = cliOption(mode);
   }
+}
 
-  async autoSave() {
-    try {
-      await fs.mkdir(SAVE_FOLDER, { recursive: true });
-
-      const session = {
-        conversationHistory: this.#conversationHistory,
-        savedAt: new Date().toISOString(),
-        version: '1.0.0'
-      };
-
-      await fs.writeFile(SAVE_FILE, JSON.stringify(session, null, 2));
-      console.log(chalk.green('💾 Session saved automatically'));
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️ Could not save session: ${error.message}`));
-    }
-  }
+const SCHEMA_FILE = './save/schema_catalog.json';
+const COMMANDS_HELP = 'Commands: /exit (save & quit), /clear (clear screen & history), /stats (show statistics), /approve on|off|auto-read (review queries), /schema [refresh] (database schema),\n  /sources (data sources and their status), /pin (keep the last result in context), /save <name>, /load <name>, /fork <name>, /delete <name>, /sessions (named sessions),\n  /more, /page <n>, /raw (browse the last query result), /export csv|jsonl|md|html [file] [#n] (save a result),\n  Ctrl+C (cancel the running answer or query)\n';
 
-  getStats() {
-    const userMessages = this.#conversationHistory.filter(msg => msg.role === 'user').length;
-    const assistantMessages = this.#conversationHistory.filter(msg => msg.role === 'assistant').length;
+/**
+ * Clears the "Processing..." status line; piped output (e.g. replayed sessions) has none
+ */
+const clearStatusLine = () => {
+  if (!process.stdout.isTTY) return;
+  process.stdout.clearLine();
+  process.stdout.cursorTo(0);
+};
 
-    return {
-      total: this.#conversationHistory.length,
-      userMessages,
-      assistantMessages
-    };
-  }
-}
+/**
+ * Lists the queries that failed during a turn and whether a later query on the same source worked
+ */
+const showCorrections = (budget) => {
+  const { corrections } = budget;
+  if (corrections.length === 0) return;
+
+  console.log(chalk.cyan(`🩹 Query corrections (${corrections.length} failed ${corrections.length === 1 ? 'query' : 'queries'}):`));
+  corrections.forEach(({ round, key, error, fixedIn }) => {
+    const outcome = fixedIn ? chalk.green(`fixed in step ${fixedIn}`) : chalk.red('not fixed');
+    console.log(chalk.gray(`  • step ${round}, ${key}: ${error.split('\n')[0]} → `) + outcome);
+  });
+  console.log();
+};
 
-const renderMarkdown = (content) => {
-  const lines = content.split('\n');
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    switch (true) {
-      case trimmedLine.startsWith('# '):
-        console.log(chalk.blue.bold(trimmedLine.substring(2)));
-        break;
-      case trimmedLine.startsWith('## '):
-        console.log(chalk.cyan.bold(trimmedLine.substring(3)));
-        break;
-      case trimmedLine.startsWith('### '):
-        console.log(chalk.green.bold(trimmedLine.substring(4)));
-        break;
-      case trimmedLine.startsWith('```'):
-        console.log(chalk.gray(line));
-        break;
-      case trimmedLine.startsWith('* '):
-        const boldText1 = line.replace(/\*(.*?)\*/g, chalk.bold('$1'));
-        console.log(boldText1);
-        break;
-      case trimmedLine.includes('**'):
-        const boldText2 = line.replace(/\*\*(.*?)\*\*/g, chalk.bold('$1'));
-        console.log(boldText2);
-        break;
-      case trimmedLine.startsWith('- ') || trimmedLine.startsWith('* '):
-        console.log(chalk.yellow('  •') + ' ' + trimmedLine.substring(2));
-        break;
-      default:
-        console.log(line);
-    }
-  }
+const countOf = (count, noun, plural = `${noun}s`) => `${count} ${count === 1 ? noun : plural}`;
+
+/**
+ * One line of token usage: requests, prompt and output tokens and the estimated cost
+ */
+const formatUsage = ({ requests, promptTokens, cachedTokens, candidatesTokens, thoughtsTokens, cost, estimated }) => {
+  const cached = cachedTokens ? ` (${cachedTokens} cached)` : '';
+  const thoughts = thoughtsTokens ? ` + ${thoughtsTokens} thinking` : '';
+  const price = cost === null ? 'no price known' : `~$${cost.toFixed(4)}`;
+  return `${countOf(requests, 'request')}, ${promptTokens} prompt${cached} + ${candidatesTokens} output${thoughts} tokens, ${price}`
+    + (estimated ? ' (token counts partly estimated)' : '');
 };
 
-const initializeAI = async () => {
+const initializeAI = async (usageTracker) => {
   try {
-    const model = new Model();
-    console.log(chalk.green('🤖 AI model initialized successfully'));
+    const model = new Model({ usageTracker });
+    console.log(chalk.green(`🤖 AI model initialized successfully (${model.provider}: ${model.model})`));
     return model;
   } catch (error) {
     console.error(chalk.red('❌ Failed to initialize AI:'), error.message);
@@ -128,101 +90,304 @@ const initializeAI = async () => {
   }
 };
 
-const generateResponse = async (model, role, input, sessionManager) => {
+/**
+ * Introspects the data sources into the schema catalog
+ */
+const refreshSchemaCatalog = async (catalog, sources) => {
+  console.log(chalk.gray('🔎 Introspecting database schema...'));
+  await catalog.refresh(sources);
+  const { tables, collections } = catalog.stats;
+  console.log(chalk.gray(`📚 Schema catalog: ${tables} tables, ${collections} collections`));
+};
+
+/**
+ * Builds the prompt from the conversation and asks the model.
+ * With tools the conversation is sent as multi-turn contents and the model may
+ * answer with function calls; otherwise it is one prompt and queries come back
+ * as fenced blocks, and `agent` messages default to the follow-up prompt when no input is given.
+ * @param {object} [context]
+ * @param {DataSources} [context.sources] - Data sources listed in the prompt
+ * @param {SchemaCatalog} [context.catalog] - Schema summarized into the prompt
+ * @param {AgentTools} [context.tools] - Functions offered to the model; without them the fence protocol is used
+ * @param {string} [context.toolMode] - Function calling mode, NONE to force a text answer
+ * @param {AgentBudget} [context.budget] - Charged with the tokens of the call
+ * @param {ContextBuilder} [context.contextBuilder] - Fits the history into the token budget
+ * @param {Function} [context.onChunk] - Receives the answer piece by piece while it streams
+ * @param {AbortSignal} [context.signal] - Cancels the generation
+ */
+const generateResponse = async (model, role, input, sessionManager, context = {}) => {
+  const { sources, catalog, tools, toolMode, budget, contextBuilder, onChunk, signal } = context;
+
   try {
     const conversationHistory = sessionManager.getConversationHistory();
-    let contextPrompt = await fs.readFile('prompts/main-prompt.txt', 'utf8');
-
-    if (conversationHistory.length > 0) {
-      contextPrompt += 'Previous conversation:\n';
-
-      conversationHistory
-        .slice(-MAX_HISTORY_DISPLAY)
-        .forEach(({ role, content }) => {
-          if (role === 'execution') {
-            contextPrompt += `${role}: ${JSON.stringify(content)}\n`;
-          } else {
-            contextPrompt += `${role}: ${content}\n`;
-          }
-        });
+    let contextPrompt = await fs.readFile(tools ? 'prompts/tools-prompt.txt' : 'prompts/main-prompt.txt', 'utf8');
+
+    const sourceList = sources?.describe({ tools: Boolean(tools) }) ?? '';
+    if (sourceList) {
+      contextPrompt += `\n\n${sourceList}`;
+    }
+
+    // Rank the schema against the question the user is currently asking
+    const question = role === 'user'
+      ? input
+      : [...conversationHistory].reverse().find(({ role }) => role === 'user')?.content;
+    const schemaSummary = catalog?.summarize(question) ?? '';
+    if (schemaSummary) {
+      contextPrompt += `\n\n${schemaSummary}\n`;
+    }
+
+    if (tools) {
+      // Function results answer the calls themselves, so follow-ups need no message
+      if (input) sessionManager.addMessage(role, input);
+      const { contents, tokens } = await contextBuilder.buildContents(sessionManager, contextPrompt);
+      const response = await model.generateTurn(contents, {
+        tools: tools.declarations,
+        toolMode,
+        systemInstruction: contextPrompt,
+        onChunk,
+        signal
+      });
+      budget?.addTokens(estimateTokens(contextPrompt) + tokens + estimateTokens(response.text));
+      return response;
+    }
 
+    input = role === 'agent' ? input ?? await fs.readFile('prompts/agent-prompt.txt', 'utf8') : input;
+
+    const { text: historyText } = await contextBuilder.build(sessionManager, contextPrompt + input);
+    if (historyText) {
+      contextPrompt += historyText;
       contextPrompt += `\nCurrent message (${role}) :\n`;
     }
 
     // Add the latest message to the conversation history
-    input = role === 'agent' ? await fs.readFile('prompts/agent-prompt.txt', 'utf8') : input;
     sessionManager.addMessage(role, input);
-    return await model.generateContent(contextPrompt + input);
+    const response = await model.generateContent(contextPrompt + input, { onChunk, signal });
+    budget?.addTokens(estimateTokens(contextPrompt + input) + estimateTokens(response));
+    return { text: response, functionCalls: [] };
   } catch (error) {
+    // Model errors already say what went wrong and are shown with their hint
+    if (error.name === 'AbortError' || error instanceof ModelError) throw error;
     console.error(chalk.red('🚨 Error generating response:'), error.message);
     throw new Error(`Response generation failed: ${error.message}`);
   }
 };
 
-const handleResponseExecution = async (response, sessionManager) => {
-  const extractedScript = () => {
-    const regex = /```(?:javascript|mongodb)\s*([\s\S]*?)\s*```/;
-    const match = response.match(regex);
-    return (match && match[1]) ? match[1].trim() : null; // No script found
-  };
+/**
+ * Runs the query blocks of one model turn.
+ * Blocks are reviewed one by one first; then blocks on the same source run in
+ * order, since a later one may rely on an earlier one, while different sources
+ * run concurrently. Unknown sources, rejected reviews, guard rejections and
+ * failed queries become entries for the model instead of ending the turn.
+ * @param {Array<{fence: string, tag: (string|undefined), query: string}>} blocks - Queries and where they go
+ * @returns {Promise<Array<{key: string, entry: object}>>} One entry per block, in block order, keyed
+ *   by its 1-based position and source, e.g. `2:analytics`
+ */
+const executeBlocks = async (blocks, options) => {
+  const { sources, approval } = options;
+  const results = [];
+  const queues = new Map();
+
+  for (const [position, block] of blocks.entries()) {
+    const index = position + 1;
+    let source;
+    try {
+      source = sources.resolve(block.fence, block.tag);
+    } catch (error) {
+      if (!(error instanceof DataSourceError)) throw error;
+      // An unknown source is reported to the model like a blocked query, under the name it used
+      results.push({
+        key: `${index}:${block.tag ?? block.fence}`,
+        entry: { query: block.query, error: error.toJSON() }
+      });
+      continue;
+    }
 
-  const extractedSQL = () => {
-    const regex = /```sql\s*([\s\S]*?)\s*```/;
-    const match = response.match(regex);
-    return (match && match[1]) ? match[1].trim() : null;
-  };
+    const key = `${index}:${source.name}`;
+    const { query, approval: decision } = approval
+      ? await approval.review({
+        type: source.language,
+        query: block.query,
+        source: source.name,
+        dialect: DATA_SOURCE_TYPES[source.type].sqlDialect
+      })
+      : { query: block.query, approval: null };
+    if (decision?.decision === 'rejected') {
+      results.push({ key, entry: { query, approval: decision } });
+      continue;
+    }
 
-  const mongoshEval = extractedScript();
-  const sqlQuery = extractedSQL();
-  if (!mongoshEval && !sqlQuery) return null; // No execution commands found
-
-  let mongoJson;
-  if (mongoshEval) {
-    console.log(chalk.yellow('🚀 Executing MongoDB script:', mongoshEval));
-    const mongodb = new MongoDBIntegration();
-    mongoJson = {
-      query: mongoshEval,
-      result: await mongodb.mongoshEval(mongoshEval)
-    };
-    mongodb.close();
+    const result = { key, entry: null };
+    results.push(result);
+    if (!queues.has(source.name)) queues.set(source.name, []);
+    queues.get(source.name).push(async () => {
+      result.entry = await runQuery(source.name, query, decision, options);
+    });
   }
 
-  let sqlJson;
-  if (sqlQuery) {
-    console.log(chalk.yellow('🚀 Executing SQL query:', sqlQuery));
-    const postgres = new PostgresIntegration();
-    sqlJson = {
-      query: sqlQuery,
-      result: await postgres.executeQuery(sqlQuery)
+  await Promise.all([...queues.values()].map(async (queue) => {
+    for (const run of queue) await run();
+  }));
+  return results;
+};
+
+/**
+ * Runs one reviewed query on its source
+ * @returns {Promise<object>} `{ query, result }`, or `{ query, error }` when it was blocked or failed
+ * @throws {Error} An `AbortError` when cancelled
+ */
+const runQuery = async (name, query, decision, options) => {
+  const { sources, confirm, usage, signal } = options;
+  const integration = sources.integration(name);
+  console.log(chalk.yellow(`🚀 Executing ${integration.dialect} query on ${name}:`, query));
+  // A query the user has just reviewed counts as confirmed
+  const queryOptions = { confirm: decision ? async () => true : confirm, signal };
+  const startedAt = Date.now();
+  let entry;
+  try {
+    entry = {
+      query,
+      result: await integration.execute(query, queryOptions)
     };
+  } catch (error) {
+    if (error.name === 'AbortError' || signal?.aborted) throw error;
+    // A failing block does not stop the others; the model sees why it failed (QueryErrors carry
+    // the SQLSTATE and where in the query) and can repair it in the next round
+    entry = {
+      query,
+      error: typeof error.toJSON === 'function' ? error.toJSON() : { code: error.code ?? null, message: error.message }
+    };
+  } finally {
+    usage?.recordQuery(Date.now() - startedAt);
+  }
+  if (decision) entry.approval = decision;
+  return entry;
+};
+
+/**
+ * Records an execution in the session and shows its results
+ */
+const recordExecution = (resultJson, sessionManager, { viewer, calls }) => {
+  // Log the execution interaction
+  sessionManager.addMessage('execution', resultJson, calls ? { calls } : {});
+
+  const entries = Object.values(resultJson);
+  if (entries.length > 0) {
+    // Failures and rejections are shown once, by the viewer
+    viewer.show(resultJson);
+    const succeeded = entries.filter(entry => !entry.error && entry.approval?.decision !== 'rejected').length;
+    if (succeeded === entries.length) {
+      console.log(chalk.green('✅ Database query execution successfully'));
+    } else if (succeeded > 0) {
+      console.log(chalk.yellow(`⚠️ ${succeeded} of ${entries.length} queries ran successfully`));
+    }
   }
+  console.log();
+};
+
+const handleResponseExecution = async (response, sessionManager, options = {}) => {
+  const { progress, viewer = new ResultViewer() } = options;
 
-  let resultJson = {};
-  if (mongoJson) {
-    resultJson.mongodb = mongoJson;
+  // A tag after the language (```sql:analytics) names the data source of the block
+  const blocks = [...response.matchAll(/```(sql|mongodb|javascript)(?::([\w-]+))?\s*([\s\S]*?)\s*```/g)]
+    .filter(match => match[3])
+    .map(match => ({ fence: match[1], tag: match[2], query: match[3].trim() }));
+  if (blocks.length === 0) return null; // No execution commands found
+
+  if (progress) {
+    clearStatusLine();
+    console.log(chalk.cyan(progress));
   }
-  if (sqlJson) {
-    resultJson.postgres = sqlJson;
+
+  const results = await executeBlocks(blocks, options);
+  const resultJson = Object.fromEntries(results.map(({ key, entry }) => [key, entry]));
+
+  recordExecution(resultJson, sessionManager, { viewer });
+  return resultJson;
+};
+
+/**
+ * Answers the function calls of a model turn.
+ * Query calls run like query blocks, numbered in call order, and their entries
+ * are keyed the same way; schema lookups are answered from the catalog and
+ * only kept with the calls.
+ * @returns {Promise<object>} The execution entries of the queries
+ */
+const handleFunctionCalls = async (functionCalls, sessionManager, options = {}) => {
+  const { tools, progress, viewer = new ResultViewer() } = options;
+
+  if (progress) {
+    clearStatusLine();
+    console.log(chalk.cyan(progress));
   }
 
-  // Log the execution interaction
-  sessionManager.addMessage('execution', resultJson);
+  const calls = functionCalls.map(({ id, name, args = {}, thoughtSignature }) => ({
+    ...(id ? { id } : {}),
+    name,
+    args,
+    ...(thoughtSignature ? { thoughtSignature } : {})
+  }));
+  const queryCalls = calls.filter(call => AgentTools.isQuery(call.name));
+  for (const call of calls.filter(call => !AgentTools.isQuery(call.name))) {
+    console.log(chalk.gray(`🔎 ${call.name}(${JSON.stringify(call.args)})`));
+    call.response = tools.lookup(call);
+  }
 
-  console.log(chalk.gray(JSON.stringify(resultJson, null, 2)));
-  console.log(chalk.green('✅ Database query execution successfully'));
-  console.log();
+  const results = await executeBlocks(queryCalls.map(call => tools.toBlock(call)), options);
+  results.forEach(({ key }, index) => {
+    queryCalls[index].key = key;
+  });
+  const resultJson = Object.fromEntries(results.map(({ key, entry }) => [key, entry]));
 
+  recordExecution(resultJson, sessionManager, { viewer, calls });
   return resultJson;
 };
 
 const startChatbot = async () => {
   console.log(chalk.blue.bold('\n🤖 AI Chatbot - Enhanced Edition'));
-  console.log(chalk.gray('Commands: /exit (save & quit), /clear (clear screen & history), /stats (show statistics)\n'));
+  console.log(chalk.gray(COMMANDS_HELP));
 
-  const model = await initializeAI();
-  const sessionManager = new SessionManager();
+  let usage;
+  try {
+    usage = new UsageTracker();
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to load model prices:'), error.message);
+    process.exit(1);
+  }
+  const model = await initializeAI(usage);
+  const cassette = Cassette.fromEnv();
+  // A replayed session must not overwrite the last real one
+  const sessionManager = new SessionManager({ persist: !cassette?.replaying, name: cliOption('session') });
+
+  // Cassettes start from an empty history so prompts match between recording and replay
+  if (cassette) {
+    console.log(chalk.magenta(`📼 ${cassette.recording ? 'Recording to' : 'Replaying from'} ${cassette.file}`));
+  } else {
+    await sessionManager.autoLoad();
+  }
 
-  await sessionManager.autoLoad();
+  const contextBuilder = new ContextBuilder({ model });
+  // Integrations are shared per source for the whole session, which keeps
+  // mongosh processes, their health and the Postgres pools across queries
+  let sources;
+  try {
+    sources = await DataSources.load();
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to load data sources:'), error.message);
+    process.exit(1);
+  }
+  if (sources.size > 0) {
+    console.log(chalk.gray(`🗄️ Data sources: ${sources.list().map(({ name, type }) => `${name} (${type})`).join(', ')}`));
+  }
+  const markdown = new MarkdownRenderer();
+  const viewer = new ResultViewer({ markdown });
+  const exporter = new ResultExporter();
+
+  // Cassettes record the introspection queries instead of relying on the disk cache
+  const catalog = new SchemaCatalog({ cacheFile: cassette ? null : SCHEMA_FILE });
+  if (!(await catalog.load(sources))) {
+    await refreshSchemaCatalog(catalog, sources);
+  }
+  const tools = new AgentTools({ sources, catalog });
 
   const rl = readline.createInterface({
     input: process.stdin,
@@ -230,9 +395,34 @@ const startChatbot = async () => {
     prompt: chalk.blue('💬 You: ')
   });
 
+  // Blocks on different sources run concurrently, so confirmations are asked one after another
+  let confirmations = Promise.resolve();
+  const confirm = ({ violations }) => {
+    const answer = confirmations.then(() => new Promise(resolve => {
+      console.log(chalk.yellow('⚠️ The MongoDB script needs confirmation:'));
+      violations.forEach(({ operation, category, database }) => {
+        console.log(chalk.yellow(`  • ${operation} (${category}) on ${database}`));
+      });
+      rl.question(chalk.yellow('Run it? (y/N) '), reply => resolve(/^y(es)?$/i.test(reply.trim())));
+    }));
+    confirmations = answer;
+    return answer;
+  };
+
+  const approval = new QueryApproval({
+    mode: process.env.APPROVAL_MODE ?? 'off',
+    ask: (question, prefill) => new Promise(resolve => {
+      rl.question(question, resolve);
+      if (prefill) rl.write(prefill);
+    })
+  });
+
+  let currentTurn = Promise.resolve();
+  let activeGeneration = null;
+
   rl.prompt();
 
-  rl.on('line', async (line) => {
+  const handleLine = async (line) => {
     const input = line.trim();
 
     if (!input) {
@@ -240,7 +430,157 @@ const startChatbot = async () => {
       return;
     }
 
+    if (input.startsWith('/approve')) {
+      const [, mode] = input.split(/\s+/);
+      if (APPROVAL_MODES.includes(mode)) {
+        approval.mode = mode;
+        console.log(chalk.green(`✅ Approval mode: ${mode}\n`));
+      } else {
+        console.log(chalk.gray(`Approval mode: ${approval.mode} (usage: /approve ${APPROVAL_MODES.join('|')})\n`));
+      }
+      rl.prompt();
+      return;
+    }
+
+    if (input.startsWith('/page')) {
+      const [, number] = input.split(/\s+/);
+      if (!/^\d+$/.test(number ?? '')) {
+        console.log(chalk.gray('Usage: /page <n>\n'));
+      } else if (!viewer.page(Number(number))) {
+        console.log(chalk.gray(`No page ${number} in the last result\n`));
+      }
+      rl.prompt();
+      return;
+    }
+
+    if (input.startsWith('/export')) {
+      const [, format, ...rest] = input.split(/\s+/);
+      const selector = rest.find(arg => /^#\d+$/.test(arg));
+      const file = rest.find(arg => arg !== selector);
+
+      if (format === 'list') {
+        const executions = ResultExporter.executions(sessionManager.getConversationHistory());
+        console.log(chalk.cyan('📤 Exportable executions:'));
+        if (executions.length === 0) {
+          console.log(chalk.gray('  (none yet)'));
+        }
+        executions.forEach(({ number, question, execution }) => {
+          console.log(`  #${number} ${chalk.gray(`[${Object.keys(execution).join(', ')}]`)} ${question.slice(0, 60)}`);
+        });
+        console.log();
+      } else if (!format) {
+        console.log(chalk.gray('Usage: /export csv|jsonl|md|html [file] [#n], /export list\n'));
+      } else {
+        try {
+          const written = await exporter.export(sessionManager.getConversationHistory(), {
+            format,
+            file,
+            number: selector ? Number(selector.slice(1)) : undefined,
+            name: sessionManager.name
+          });
+          written.forEach(path => console.log(chalk.green(`📤 Exported to ${path}`)));
+        } catch (error) {
+          console.error(chalk.red('❌ Error:'), error.message);
+        }
+        console.log();
+      }
+      rl.prompt();
+      return;
+    }
+
+    if (input === '/schema refresh') {
+      await refreshSchemaCatalog(catalog, sources);
+      console.log();
+      rl.prompt();
+      return;
+    }
+
+    const [command, ...args] = input.split(/\s+/);
+    const sessionCommands = {
+      '/save': (name) => sessionManager.save(name),
+      '/load': (name) => sessionManager.load(name),
+      '/fork': (name) => sessionManager.fork(name),
+      '/delete': (name) => sessionManager.delete(name)
+    };
+
+    if (sessionCommands[command]) {
+      if (args.length !== 1) {
+        console.log(chalk.gray(`Usage: ${command} <name>\n`));
+      } else {
+        try {
+          await sessionCommands[command](args[0]);
+        } catch (error) {
+          console.error(chalk.red('❌ Error:'), error.message);
+        }
+        console.log();
+      }
+      rl.prompt();
+      return;
+    }
+
     switch (input) {
+      case '/pin':
+        const pinned = sessionManager.pinLast('execution');
+        console.log(pinned
+          ? chalk.green('📌 Last execution result pinned to the context\n')
+          : chalk.gray('No execution result to pin\n'));
+        rl.prompt();
+        return;
+
+      case '/more':
+        if (!viewer.more()) {
+          console.log(chalk.gray('No more rows to show\n'));
+        }
+        rl.prompt();
+        return;
+
+      case '/raw':
+        const raw = viewer.toggleRaw();
+        console.log(chalk.green(`✅ Results shown as ${raw ? 'raw JSON' : 'tables'}\n`));
+        rl.prompt();
+        return;
+
+      case '/sessions':
+        const sessions = await sessionManager.list();
+        console.log(chalk.cyan('🗂️ Sessions:'));
+        if (sessions.length === 0) {
+          console.log(chalk.gray('  (none saved yet)'));
+        }
+        sessions.forEach(({ name, messages, savedAt, active }) => {
+          const marker = active ? chalk.green('*') : ' ';
+          console.log(`${marker} ${name.padEnd(24)} ${chalk.gray(`${String(messages).padStart(5)} messages  saved ${savedAt ?? 'never'}`)}`);
+        });
+        console.log();
+        rl.prompt();
+        return;
+
+      case '/schema':
+        const { tables, collections, generatedAt } = catalog.stats;
+        console.log(chalk.cyan('📚 Schema Catalog:'));
+        console.log(chalk.gray(`  Tables: ${tables}`));
+        console.log(chalk.gray(`  Collections: ${collections}`));
+        console.log(chalk.gray(`  Introspected: ${generatedAt ?? 'never'} (/schema refresh to update)\n`));
+        rl.prompt();
+        return;
+
+      case '/sources':
+        console.log(chalk.cyan('🗄️ Data sources:'));
+        if (sources.size === 0) {
+          console.log(chalk.gray('  (none configured: set POSTGRES_URI, MYSQL_URI, SQLITE_FILE, MONGODB_URI or create data-sources.json)'));
+        }
+        const checks = await sources.check();
+        const counts = catalog.stats.sources;
+        sources.list().forEach(({ name, type, description, default: isDefault }) => {
+          const { ok, latencyMs, error } = checks.find(check => check.name === name);
+          const status = ok === null ? chalk.gray(`⏸️ ${error}`) : ok ? chalk.green(`✅ ${latencyMs} ms`) : chalk.red(`❌ ${error}`);
+          const schema = counts[name] !== undefined ? `${counts[name]} ${type === 'mongodb' ? 'collections' : 'tables'}` : 'not introspected';
+          console.log(`  ${name.padEnd(16)} ${chalk.gray(`${type}${isDefault ? ', default' : ''}, ${schema}`)}  ${status}`);
+          if (description) console.log(chalk.gray(`  ${''.padEnd(16)} ${description}`));
+        });
+        console.log();
+        rl.prompt();
+        return;
+
       case '/exit':
         console.log(chalk.yellow('🔄 Saving session...'));
         await sessionManager.autoSave();
@@ -253,7 +593,7 @@ const startChatbot = async () => {
         sessionManager.clearHistory();
         console.log(chalk.green('🧹 Screen and history cleared'));
         console.log(chalk.blue.bold('\n🤖 AI Chatbot - Enhanced Edition'));
-        console.log(chalk.gray('Commands: /exit (save & quit), /clear (clear screen & history), /stats (show statistics)\n'));
+        console.log(chalk.gray(COMMANDS_HELP));
         rl.prompt();
         return;
 
@@ -262,50 +602,187 @@ const startChatbot = async () => {
         console.log(chalk.cyan('📊 Session Statistics:'));
         console.log(chalk.gray(`  Total messages: ${stats.total}`));
         console.log(chalk.gray(`  User messages: ${stats.userMessages}`));
-        console.log(chalk.gray(`  Assistant messages: ${stats.assistantMessages}\n`));
+        console.log(chalk.gray(`  Assistant messages: ${stats.assistantMessages}`));
+        const turns = sessionManager.getUsage();
+        const spent = UsageTracker.totals(turns);
+        const lastTurn = turns[turns.length - 1];
+        const price = usage.priceOf(model.model);
+        console.log(chalk.cyan('💰 Usage:'));
+        if (lastTurn) {
+          console.log(chalk.gray(`  Last turn: ${formatUsage(lastTurn)}`));
+          console.log(chalk.gray(`    ${countOf(lastTurn.iterations, 'loop iteration')}, ${countOf(lastTurn.queries, 'query', 'queries')} in ${lastTurn.queryMs} ms, ${(lastTurn.durationMs / 1000).toFixed(1)}s in total`));
+        }
+        console.log(chalk.gray(`  Session: ${countOf(spent.turns, 'turn')}, ${formatUsage(spent)}`));
+        console.log(chalk.gray(`    ${countOf(spent.iterations, 'loop iteration')}, ${countOf(spent.queries, 'query', 'queries')} in ${spent.queryMs} ms`));
+        if (usage.spendCap) {
+          console.log(chalk.gray(`  Spend cap: $${usage.spendCap} (${Math.round((spent.cost ?? 0) / usage.spendCap * 100)}% used)`));
+        }
+        console.log(chalk.gray(price
+          ? `  Price of ${model.model}: $${price.input} input, $${price.cached ?? price.input} cached, $${price.output} output per 1M tokens`
+          : `  Price of ${model.model}: unknown, add it to the MODEL_PRICES_FILE table`));
+        const context = contextBuilder.stats;
+        console.log(chalk.cyan('🧠 Context:'));
+        console.log(chalk.gray(`  Budget: ${context.budget} tokens`));
+        console.log(chalk.gray(`  Requests: ${context.requests} (average ${context.averageTokens}, max ${context.maxTokens} tokens)`));
+        if (context.last) {
+          console.log(chalk.gray(`  Last request: ${context.last.tokens} tokens, ${context.last.messages} messages, ${context.last.summarized} summarized`));
+        }
+        for (const { name, type, integration } of sources.active()) {
+          if (type === 'postgres' || type === 'mysql') {
+            const { total, idle, waiting } = integration.poolStats;
+            console.log(chalk.cyan(`${type === 'postgres' ? '🐘' : '🐬'} ${integration.dialect} (${name}):`));
+            console.log(chalk.gray(`  Pool: ${total} connections (${idle} idle, ${waiting} waiting)`));
+            continue;
+          }
+          if (type === 'sqlite') {
+            const { file, state, pid, restarts, timeouts, lastError } = integration.health;
+            console.log(chalk.cyan(`🪶 SQLite (${name}):`));
+            console.log(chalk.gray(`  File: ${file}`));
+            console.log(chalk.gray(`  Worker: ${state}${pid ? ` (pid ${pid})` : ''}, ${restarts} restarts, ${timeouts} timeouts`));
+            if (lastError) console.log(chalk.gray(`  Last error: ${lastError}`));
+            continue;
+          }
+          const { backend, driver, mongosh } = integration.health;
+          console.log(chalk.cyan(`🍃 MongoDB (${name}):`));
+          console.log(chalk.gray(`  Backend: ${backend} (driver ${driver})`));
+          console.log(chalk.gray(`  mongosh: ${mongosh.state}${mongosh.pid ? ` (pid ${mongosh.pid})` : ''}, ${mongosh.restarts} restarts, ${mongosh.timeouts} timeouts, ${mongosh.queued} queued`));
+          if (mongosh.lastError) console.log(chalk.gray(`  Last error: ${mongosh.lastError.split('\n')[0]}`));
+          if (mongosh.warnings.length > 0) console.log(chalk.gray(`  Warnings: ${mongosh.warnings.length} (latest: ${mongosh.warnings[mongosh.warnings.length - 1]})`));
+        }
+        console.log();
         rl.prompt();
         return;
     }
 
+    const capReason = usage.capReason(sessionManager.getUsage());
+    if (capReason) {
+      console.log(chalk.yellow(`💸 Spend cap reached: ${capReason}. Raise SESSION_SPEND_CAP or continue in another session\n`));
+      rl.prompt();
+      return;
+    }
+
+    const controller = new AbortController();
+    activeGeneration = controller;
+
+    const budget = new AgentBudget();
+    usage.startTurn();
+    // Providers without tool support fall back to query blocks in the answer text
+    const functionCalling = model.supportsTools && tools.declarations.length > 0;
+
+    // Streams one answer to the terminal; query blocks about to run are hidden
+    const ask = async (role, message, { hideExecutable = !functionCalling, toolMode } = {}) => {
+      const renderer = new StreamRenderer({
+        markdown,
+        hideExecutable,
+        onStart: () => {
+          clearStatusLine();
+          console.log(chalk.green.bold('🤖 AI:'));
+        }
+      });
+
+      try {
+        return await generateResponse(model, role, message, sessionManager, {
+          sources,
+          catalog,
+          tools: functionCalling ? tools : null,
+          toolMode,
+          budget,
+          contextBuilder,
+          signal: controller.signal,
+          onChunk: (chunk) => renderer.write(chunk)
+        });
+      } finally {
+        renderer.end();
+        if (renderer.started) console.log();
+      }
+    };
+
     try {
       process.stdout.write(chalk.yellow('🤔 Processing...\r'));
 
-      let response = await generateResponse(model, 'user', input, sessionManager);
-      while (await handleResponseExecution(response, sessionManager)) {
-        response = await generateResponse(model, 'agent', null, sessionManager); // Agent asks follow-up
+      let response = await ask('user', input);
+
+      while (true) {
+        const progress = `🔁 Step ${budget.iterations + 1} of ${budget.maxIterations}`;
+        const executionOptions = { sources, tools, confirm, approval, progress, viewer, usage, signal: controller.signal };
+        let execution = null;
+        if (response.functionCalls.length > 0) {
+          execution = await handleFunctionCalls(response.functionCalls, sessionManager, executionOptions);
+        } else if (!functionCalling) {
+          execution = await handleResponseExecution(response.text, sessionManager, executionOptions);
+        }
+        if (!execution) break;
+        if (controller.signal.aborted) throw Model.abortError();
+
+        const stopReason = budget.record(execution) ?? usage.capReason(sessionManager.getUsage());
+        if (stopReason) {
+          // Ask for an answer from what has been gathered instead of another round of queries
+          console.log(chalk.yellow(`⏹️ Wrapping up: ${stopReason}`));
+          const wrapUp = (await fs.readFile('prompts/wrap-up-prompt.txt', 'utf8')).replace('{reason}', stopReason);
+          response = await ask('agent', wrapUp, { hideExecutable: false, toolMode: 'NONE' });
+          break;
+        }
+
+        process.stdout.write(chalk.yellow('🤔 Processing...\r'));
+        response = await ask('agent', null); // Agent asks follow-up
       }
 
-      process.stdout.clearLine();
-      process.stdout.cursorTo(0);
-
-      sessionManager.addMessage('assistant', response);
+      clearStatusLine();
 
-      console.log(chalk.green.bold('🤖 AI:'));
-      renderMarkdown(response);
-      console.log();
+      sessionManager.addMessage('assistant', response.text);
+      showCorrections(budget);
 
     } catch (error) {
-      process.stdout.clearLine();
-      process.stdout.cursorTo(0);
-      console.error(chalk.red('❌ Error:'), error.message);
-      console.log();
+      clearStatusLine();
+      if (error.name === 'AbortError') {
+        console.log(chalk.yellow('⏹️ Generation cancelled\n'));
+      } else if (error instanceof ModelError) {
+        const attempts = error.attempts > 1 ? chalk.gray(` (gave up after ${error.attempts} attempts)`) : '';
+        console.error(chalk.red(`❌ ${error.message}`) + attempts);
+        if (error.hint) console.log(chalk.gray(`💡 ${error.hint}`));
+        console.log();
+      } else {
+        console.error(chalk.red('❌ Error:'), error.message);
+        console.log();
+      }
+    } finally {
+      activeGeneration = null;
+      // Cancelled and failed turns are kept too, as their requests were billed
+      const turn = usage.endTurn({ iterations: budget.iterations });
+      if (turn) sessionManager.addUsage(turn);
     }
 
     rl.prompt();
+  };
+
+  // Lines are handled one at a time so piped or pasted input cannot interleave turns
+  rl.on('line', (line) => {
+    currentTurn = currentTurn.then(() => handleLine(line));
   });
 
   rl.on('close', async () => {
+    // Piped input (e.g. a replayed session) closes before the last answer arrives
+    await currentTurn;
+    await sources.close();
     await sessionManager.autoSave();
     console.log(chalk.green('\n👋 Chat ended gracefully.'));
     process.exit(0);
   });
 
-  process.on('SIGINT', async () => {
+  // Ctrl+C cancels a running generation; otherwise it saves and exits
+  const onInterrupt = async () => {
+    if (activeGeneration) {
+      activeGeneration.abort();
+      return;
+    }
     console.log(chalk.yellow('\n🔄 Saving current session...'));
     await sessionManager.autoSave();
     console.log(chalk.green('👋 Goodbye!'));
     rl.close();
-  });
+  };
+
+  rl.on('SIGINT', onInterrupt);
+  process.on('SIGINT', onInterrupt);
 };
 
 startChatbot().catch(error => {
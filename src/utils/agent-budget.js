@@ -0,0 +1,161 @@
+import { createHash } from 'crypto';
+
+const fingerprint = (value) => createHash('sha256').update(JSON.stringify(value) ?? '').digest('hex');
+
+const normalizeQuery = (query) => query.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Agent Budget Utility
+ * Bounds the agent loop of a single user turn by iterations, wall-clock time and
+ * tokens, and detects loops where the model repeats a query or keeps getting the
+ * same result back. Failed queries are tracked too: the model may repair them a
+ * limited number of times, and each failure remembers whether a later query on
+ * the same source succeeded.
+ */
+class AgentBudget {
+  #maxIterations;
+  #maxDurationMs;
+  #maxTokens;
+  #iterations = 0;
+  #tokens = 0;
+  #startedAt = Date.now();
+  #seenQueries = new Set();
+  #seenResults = new Set();
+  #maxCorrections;
+  #failedRounds = 0;
+  #failures = [];
+
+  static DEFAULT_CONFIG = {
+    maxIterations: 8,
+    maxSeconds: 120,
+    maxTokens: 200000,
+    maxCorrections: 3
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxIterations] - Query rounds per turn, defaults to AGENT_MAX_ITERATIONS or 8
+   * @param {number} [options.maxSeconds] - Seconds per turn, defaults to AGENT_MAX_SECONDS or 120
+   * @param {number} [options.maxTokens] - Prompt plus answer tokens per turn, defaults to AGENT_MAX_TOKENS or 200000
+   * @param {number} [options.maxCorrections] - Rounds the model may spend repairing failed queries,
+   *   defaults to AGENT_MAX_CORRECTIONS or 3
+   */
+  constructor(options = {}) {
+    const {
+      maxIterations = Number(process.env.AGENT_MAX_ITERATIONS ?? AgentBudget.DEFAULT_CONFIG.maxIterations),
+      maxSeconds = Number(process.env.AGENT_MAX_SECONDS ?? AgentBudget.DEFAULT_CONFIG.maxSeconds),
+      maxTokens = Number(process.env.AGENT_MAX_TOKENS ?? AgentBudget.DEFAULT_CONFIG.maxTokens),
+      maxCorrections = Number(process.env.AGENT_MAX_CORRECTIONS ?? AgentBudget.DEFAULT_CONFIG.maxCorrections)
+    } = options;
+
+    this.#maxIterations = maxIterations;
+    this.#maxDurationMs = maxSeconds * 1000;
+    this.#maxTokens = maxTokens;
+    this.#maxCorrections = maxCorrections;
+  }
+
+  /**
+   * Adds the tokens of one model call
+   * @param {number} tokens - Prompt plus answer tokens
+   */
+  addTokens(tokens) {
+    this.#tokens += tokens;
+  }
+
+  /**
+   * Records the execution result of a query round and tells whether the loop must stop.
+   * @param {object} execution - Execution entry keyed by block and source (`1:analytics`), each with `query` and `result`/`error`
+   * @returns {string|null} Why the loop has to wrap up, or null to continue
+   */
+  record(execution) {
+    this.#iterations++;
+    const failed = this.#recordFailures(execution);
+
+    const sources = Object.values(execution);
+    const queries = sources.map(({ query }) => normalizeQuery(query ?? ''));
+    const results = sources.map(({ result, error }) => fingerprint(result ?? error ?? null));
+
+    const repeatedQuery = queries.length > 0 && queries.every(query => this.#seenQueries.has(query));
+    const repeatedResult = results.length > 0 && results.every(result => this.#seenResults.has(result));
+
+    queries.forEach(query => this.#seenQueries.add(query));
+    results.forEach(result => this.#seenResults.add(result));
+
+    if (repeatedQuery) return 'the same query was requested again';
+    if (repeatedResult) return 'the query returned the same result as before';
+    if (failed && this.#failedRounds > this.#maxCorrections) {
+      return `the queries still failed after ${this.#maxCorrections} correction attempts`;
+    }
+    return this.exhausted();
+  }
+
+  /**
+   * Notes the failed entries of a round and marks earlier failures on a source
+   * as fixed once a query on it succeeds
+   * @returns {boolean} Whether any query of the round failed
+   * @private
+   */
+  #recordFailures(execution) {
+    let failed = false;
+    for (const [key, { query, result, error }] of Object.entries(execution)) {
+      // Entries are keyed `block:source`
+      const source = key.slice(key.indexOf(':') + 1);
+      if (error) {
+        failed = true;
+        this.#failures.push({ round: this.#iterations, key, source, query, error: error.message ?? String(error), fixedIn: null });
+      } else if (result !== undefined) {
+        this.#failures
+          .filter(failure => failure.source === source && failure.fixedIn === null && failure.round < this.#iterations)
+          .forEach(failure => {
+            failure.fixedIn = this.#iterations;
+          });
+      }
+    }
+    if (failed) this.#failedRounds++;
+    return failed;
+  }
+
+  /**
+   * Failed queries of the turn, for the summary of attempted fixes
+   * @returns {Array<{round: number, key: string, source: string, query: string, error: string, fixedIn: (number|null)}>}
+   *   `fixedIn` is the round in which a query on the same source succeeded, or null
+   */
+  get corrections() {
+    return this.#failures.map(failure => ({ ...failure }));
+  }
+
+  /**
+   * Checks the iteration, time and token limits
+   * @returns {string|null} The limit that was reached, or null
+   */
+  exhausted() {
+    if (this.#iterations >= this.#maxIterations) {
+      return `the limit of ${this.#maxIterations} query rounds was reached`;
+    }
+    if (this.elapsedMs >= this.#maxDurationMs) {
+      return `the time limit of ${Math.round(this.#maxDurationMs / 1000)} seconds was reached`;
+    }
+    if (this.#tokens >= this.#maxTokens) {
+      return `the token budget of ${this.#maxTokens} tokens was used up`;
+    }
+    return null;
+  }
+
+  get iterations() {
+    return this.#iterations;
+  }
+
+  get maxIterations() {
+    return this.#maxIterations;
+  }
+
+  get tokens() {
+    return this.#tokens;
+  }
+
+  get elapsedMs() {
+    return Date.now() - this.#startedAt;
+  }
+}
+
+export default AgentBudget;
@@ -0,0 +1,165 @@
+import { QUERY_LANGUAGES } from './data-sources.js';
+
+/**
+ * Tools that run a query, by name, with the language of their query
+ */
+const QUERY_TOOLS = Object.freeze(Object.fromEntries(
+  Object.entries(QUERY_LANGUAGES).map(([language, { tool }]) => [tool, language])
+));
+
+/**
+ * Agent Tools
+ * Declares the functions the model calls to gather data and answers the
+ * calls that only read the schema catalog. Query calls (run_sql, run_mongo)
+ * become the same blocks as fenced queries, so they go through source
+ * resolution, review and the guards exactly like them.
+ */
+class AgentTools {
+  #sources;
+  #catalog;
+
+  /**
+   * @param {object} options
+   * @param {DataSources} options.sources - Sources the query tools can target
+   * @param {SchemaCatalog} options.catalog - Answers list_tables and describe_table
+   */
+  constructor(options) {
+    const { sources, catalog } = options;
+    this.#sources = sources;
+    this.#catalog = catalog;
+  }
+
+  /**
+   * Whether a function call runs a query
+   * @param {string} name - Function name
+   * @returns {boolean}
+   */
+  static isQuery(name) {
+    return name in QUERY_TOOLS;
+  }
+
+  /**
+   * Gemini function declarations for the configured sources; empty without sources
+   * @returns {Array<object>}
+   */
+  get declarations() {
+    const sql = this.#sources.names('sql');
+    const mongodb = this.#sources.names('mongodb');
+    if (sql.length + mongodb.length === 0) return [];
+
+    const source = (names, description) => ({ type: 'STRING', description, enum: names });
+    const declarations = [];
+
+    if (sql.length > 0) {
+      const writable = sql.filter(name => this.#sources.allowsWrites(name));
+      const access = writable.length === 0
+        ? 'Statements run read-only'
+        : writable.length === sql.length
+          ? 'Statements may change data'
+          : `Statements run read-only, except on ${writable.join(', ')} where they may change data,`;
+      declarations.push({
+        name: 'run_sql',
+        description: 'Runs SQL on a SQL data source and returns the rows with their column types. '
+          + `${access} and return a limited number of rows; when "truncated" is true, `
+          + 'filter or aggregate in SQL instead of reading more rows. Write the query in the dialect of the source.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            query: { type: 'STRING', description: 'SQL text; several statements are separated by semicolons' },
+            source: source(sql, 'SQL source to query, defaults to the default SQL source')
+          },
+          required: ['query']
+        }
+      });
+    }
+
+    if (mongodb.length > 0) {
+      declarations.push({
+        name: 'run_mongo',
+        description: 'Runs a read operation on a MongoDB data source and returns the documents as Extended JSON.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            operation: {
+              type: 'STRING',
+              description: 'The operation as a JSON object, e.g. {"operation": "find", "database": "shop", "collection": "orders", '
+                + '"filter": {"status": "paid"}, "sort": {"createdAt": -1}, "limit": 10}. Operations: find (filter, projection, sort, '
+                + 'skip, limit), aggregate (pipeline), countDocuments (filter), estimatedDocumentCount, distinct (field, filter), '
+                + 'listCollections (database) and listDatabases. Write BSON types as Extended JSON, e.g. {"$oid": "..."}'
+            },
+            source: source(mongodb, 'MongoDB source to query, defaults to the default MongoDB source')
+          },
+          required: ['operation']
+        }
+      });
+    }
+
+    declarations.push({
+      name: 'list_tables',
+      description: 'Lists the known tables and collections of the data sources.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          source: source([...sql, ...mongodb], 'Only list this source')
+        }
+      }
+    }, {
+      name: 'describe_table',
+      description: 'Describes a table with its column types, primary and foreign keys, or a collection with its field types.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          name: { type: 'STRING', description: 'Table or collection name, optionally qualified as schema.table or database.collection' },
+          source: source([...sql, ...mongodb], 'Only search this source')
+        },
+        required: ['name']
+      }
+    });
+
+    return declarations;
+  }
+
+  /**
+   * The query block a query call stands for
+   * @param {{name: string, args: object}} call - run_sql or run_mongo call
+   * @returns {{fence: string, tag: (string|undefined), query: string}}
+   */
+  toBlock({ name, args = {} }) {
+    const language = QUERY_TOOLS[name];
+    const query = language === 'sql' ? args.query : args.operation;
+    return {
+      fence: QUERY_LANGUAGES[language].fences[0],
+      tag: args.source || undefined,
+      // Models sometimes pass the operation as an object despite the declared string
+      query: (typeof query === 'string' ? query : JSON.stringify(query ?? '')).trim()
+    };
+  }
+
+  /**
+   * Answers a call that reads the schema catalog
+   * @param {{name: string, args: object}} call - list_tables or describe_table call
+   * @returns {object} The function response
+   */
+  lookup({ name, args = {} }) {
+    switch (name) {
+      case 'list_tables': {
+        const sources = this.#catalog.list(args.source || undefined);
+        return sources.length > 0
+          ? { sources }
+          : { sources, note: 'No schema has been introspected; query the information schema or run listCollections instead' };
+      }
+
+      case 'describe_table': {
+        const found = this.#catalog.find(String(args.name ?? ''), args.source || undefined);
+        return found ?? {
+          error: { code: 'UNKNOWN_TABLE', message: `No table or collection named "${args.name}" is known; call list_tables to see the names` }
+        };
+      }
+
+      default:
+        return { error: { code: 'UNKNOWN_TOOL', message: `There is no function named "${name}"` } };
+    }
+  }
+}
+
+export default AgentTools;
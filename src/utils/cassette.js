@@ -0,0 +1,222 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { SqlGuardError } from './sql-guard.js';
+import { MongoGuardError } from './mongo-guard.js';
+import { QueryError } from './data-source-adapter.js';
+import { ModelError } from './model-error.js';
+
+dotenv.config();
+
+const CASSETTE_VERSION = '1.0.0';
+
+// Errors that callers branch on with instanceof, rebuilt with their class on replay
+const ERROR_CLASSES = { SqlGuardError, MongoGuardError, QueryError, ModelError };
+
+/**
+ * Cassette modes
+ * - record: perform every interaction and append it to the cassette file
+ * - replay: serve interactions from the cassette file without touching any service
+ */
+export const CASSETTE_MODES = Object.freeze(['record', 'replay']);
+
+/**
+ * Error raised in replay mode when a request differs from the recorded one
+ */
+export class CassetteMismatchError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+    this.details = details;
+  }
+}
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  violations: error.violations,
+  details: error instanceof QueryError || error instanceof ModelError ? error.details : undefined
+});
+
+const deserializeError = ({ name, message, code, violations, details }) => {
+  const ErrorClass = ERROR_CLASSES[name];
+  const error = ErrorClass ? new ErrorClass(message, details ?? violations) : new Error(message);
+  if (!ErrorClass) {
+    error.name = name;
+    if (code !== undefined) error.code = code;
+  }
+  return error;
+};
+
+const preview = (value) => {
+  const text = JSON.stringify(value);
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+};
+
+/**
+ * Shows both requests around the first character where they differ
+ */
+const diffPreview = (expected, actual) => {
+  const left = JSON.stringify(expected);
+  const right = JSON.stringify(actual);
+  let index = 0;
+  while (index < left.length && left[index] === right[index]) index++;
+
+  const start = Math.max(0, index - 60);
+  const excerpt = (text) => `${start > 0 ? '…' : ''}${text.slice(start, index + 100)}${text.length > index + 100 ? '…' : ''}`;
+  return `at character ${index}:\n  expected ${excerpt(left)}\n  received ${excerpt(right)}`;
+};
+
+/**
+ * Cassette Utility
+ * Records model prompts/responses and database queries/results of a session
+ * into a JSON file and replays them deterministically.
+ */
+class Cassette {
+  static #shared;
+
+  #mode;
+  #file;
+  #interactions = [];
+  #cursors = {};
+
+  /**
+   * @param {object} options
+   * @param {string} options.mode - One of CASSETTE_MODES
+   * @param {string} options.file - Path of the cassette file
+   */
+  constructor(options) {
+    const { mode, file } = options;
+
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`❌ Unknown cassette mode: ${mode}. Expected one of ${CASSETTE_MODES.join(', ')}`);
+    }
+    if (!file) {
+      throw new Error('❌ A cassette file is required');
+    }
+
+    this.#mode = mode;
+    this.#file = file;
+
+    if (mode === 'replay') {
+      const cassette = JSON.parse(readFileSync(file, 'utf8'));
+      this.#interactions = cassette.interactions ?? [];
+    }
+  }
+
+  /**
+   * Returns the process-wide cassette configured by CASSETTE_MODE and CASSETTE_FILE,
+   * or null when neither recording nor replaying
+   * @returns {Cassette|null}
+   */
+  static fromEnv() {
+    if (Cassette.#shared === undefined) {
+      const mode = process.env.CASSETTE_MODE;
+      Cassette.#shared = mode
+        ? new Cassette({ mode, file: process.env.CASSETTE_FILE ?? './cassettes/session.json' })
+        : null;
+    }
+    return Cassette.#shared;
+  }
+
+  get mode() {
+    return this.#mode;
+  }
+
+  get file() {
+    return this.#file;
+  }
+
+  get recording() {
+    return this.#mode === 'record';
+  }
+
+  get replaying() {
+    return this.#mode === 'replay';
+  }
+
+  /**
+   * Number of recorded interactions not yet served in replay mode
+   * @returns {number}
+   */
+  get remaining() {
+    if (!this.replaying) return 0;
+    return this.#interactions.length - Object.values(this.#cursors).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Runs or replays one interaction.
+   * Interactions are matched per kind and data source (`request.source`) in recording
+   * order, so sources queried concurrently replay whatever order they finished in.
+   * @param {string} kind - Interaction kind, e.g. 'model', 'mongodb', 'postgres'
+   * @param {object} request - JSON-serializable request, compared on replay
+   * @param {Function} perform - Async function doing the real work (not called on replay)
+   * @returns {Promise<any>} The live or recorded response
+   * @throws {CassetteMismatchError} When replaying and the request differs or nothing is left
+   */
+  async intercept(kind, request, perform) {
+    return this.replaying
+      ? this.#replay(kind, request)
+      : this.#record(kind, request, perform);
+  }
+
+  async #record(kind, request, perform) {
+    const startedAt = Date.now();
+    try {
+      const response = await perform();
+      this.#append({ kind, request, response, durationMs: Date.now() - startedAt });
+      return response;
+    } catch (error) {
+      this.#append({ kind, request, error: serializeError(error), durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+
+  #replay(kind, request) {
+    const { source } = request;
+    const stream = source === undefined ? kind : `${kind}:${source}`;
+    const index = this.#cursors[stream] ?? 0;
+    const interaction = this.#interactions
+      .filter(entry => entry.kind === kind && entry.request?.source === source)[index];
+
+    if (!interaction) {
+      throw new CassetteMismatchError(
+        `Cassette ${this.#file} has no ${stream} interaction #${index + 1} (request: ${preview(request)})`,
+        { kind, index, actual: request }
+      );
+    }
+
+    if (JSON.stringify(interaction.request) !== JSON.stringify(request)) {
+      throw new CassetteMismatchError(
+        `Cassette mismatch for ${stream} interaction #${index + 1} ${diffPreview(interaction.request, request)}`,
+        { kind, index, expected: interaction.request, actual: request }
+      );
+    }
+
+    this.#cursors[stream] = index + 1;
+
+    if (interaction.error) {
+      throw deserializeError(interaction.error);
+    }
+    return interaction.response;
+  }
+
+  #append(interaction) {
+    this.#interactions.push({ ...interaction, recordedAt: new Date().toISOString() });
+
+    // Written after every interaction so a crashed session still leaves a usable cassette
+    try {
+      mkdirSync(dirname(this.#file), { recursive: true });
+      writeFileSync(this.#file, JSON.stringify({
+        version: CASSETTE_VERSION,
+        interactions: this.#interactions
+      }, null, 2));
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Could not write cassette: ${error.message}`));
+    }
+  }
+}
+
+export default Cassette;
@@ -0,0 +1,351 @@
+import { promises as fs } from 'fs';
+import chalk from 'chalk';
+import ResultShaper from './result-shaper.js';
+import { estimateTokens } from './tokens.js';
+
+// Estimated tokens counted per request, well inside the tokenizer's input limit
+const COUNT_BATCH_TOKENS = 100000;
+
+// Distinct fixed texts and summaries whose token counts are remembered
+const TEXT_COUNT_CACHE_SIZE = 16;
+
+/**
+ * Context Builder
+ * Assembles the conversation part of the prompt within a token budget.
+ * The current turn and pinned messages are always kept; older messages are
+ * included newest first while they fit, and whatever falls out of the window
+ * is folded into a model-generated running summary stored in the session.
+ * Query results are shaped on the way in, so large ones reach the model as a
+ * sample with statistics while the session keeps every row.
+ */
+class ContextBuilder {
+  #model;
+  #maxTokens;
+  #maxMessageTokens;
+  #shaper;
+  #tokenCounts = new WeakMap();
+  #textCounts = new Map();
+  #requests = [];
+
+  static DEFAULT_CONFIG = {
+    maxTokens: 32000,
+    maxMessageTokens: 4000
+  };
+
+  /**
+   * @param {object} options
+   * @param {Model} options.model - Used to count tokens and to write summaries
+   * @param {number} [options.maxTokens] - Prompt budget, defaults to CONTEXT_MAX_TOKENS or 32000
+   * @param {number} [options.maxMessageTokens] - Cap for a single message, defaults to 4000
+   * @param {ResultShaper} [options.shaper] - Shapes query results for the prompt
+   */
+  constructor(options) {
+    const {
+      model,
+      maxTokens = Number(process.env.CONTEXT_MAX_TOKENS ?? ContextBuilder.DEFAULT_CONFIG.maxTokens),
+      maxMessageTokens = ContextBuilder.DEFAULT_CONFIG.maxMessageTokens,
+      shaper = new ResultShaper()
+    } = options;
+
+    this.#model = model;
+    this.#maxTokens = maxTokens;
+    this.#maxMessageTokens = maxMessageTokens;
+    this.#shaper = shaper;
+  }
+
+  /**
+   * Renders one history entry as a prompt line; query results are shaped and oversized entries are cut
+   * @param {{role: string, content: any}} message - History entry
+   * @returns {string}
+   */
+  formatMessage(message) {
+    const { role, content, calls } = message;
+    let text;
+    if (calls) {
+      text = JSON.stringify(calls.map(call => ({ call: call.name, args: call.args, response: this.#responseOf(message, call) })));
+    } else {
+      text = role === 'execution' ? JSON.stringify(this.#shaper.shapeExecution(content)) : String(content);
+    }
+    return `${role}: ${this.#clip(text)}\n`;
+  }
+
+  #clip(text) {
+    const maxLength = this.#maxMessageTokens * 4;
+    return text.length > maxLength
+      ? `${text.slice(0, maxLength)} …[truncated ${text.length - maxLength} characters]`
+      : text;
+  }
+
+  /**
+   * Response of a function call stored with an execution: query calls point at
+   * their (shaped) entry in the execution, schema lookups carry their own response
+   * @private
+   */
+  #responseOf(message, call) {
+    return call.response ?? this.#shaper.shapeEntry(message.content[call.key]);
+  }
+
+  /**
+   * Function response of a call; oversized responses are cut into text
+   * @private
+   */
+  #functionResponse(message, call) {
+    const response = this.#responseOf(message, call) ?? {};
+    const text = JSON.stringify(response);
+    return text.length > this.#maxMessageTokens * 4 ? { truncated: true, output: this.#clip(text) } : response;
+  }
+
+  /**
+   * Token count of a fixed text or summary; the prompt and the summary rarely
+   * change between requests, so the last few counts are kept by text
+   * @private
+   */
+  async #countText(text) {
+    if (!this.#textCounts.has(text)) {
+      if (this.#textCounts.size >= TEXT_COUNT_CACHE_SIZE) {
+        this.#textCounts.delete(this.#textCounts.keys().next().value);
+      }
+      this.#textCounts.set(text, await this.#model.countTokens(text));
+    }
+    return this.#textCounts.get(text);
+  }
+
+  /**
+   * Token counts of history messages. Uncached messages are counted together in
+   * as few requests as possible and the total is split by their estimated sizes,
+   * so a resumed session does not send one request per message.
+   * @private
+   */
+  async #tokensOf(messages) {
+    const uncached = [...new Set(messages)]
+      .filter(message => !this.#tokenCounts.has(message))
+      .map(message => ({ message, text: this.formatMessage(message) }));
+
+    let batch = [];
+    let batchTokens = 0;
+    const countBatch = async () => {
+      if (batch.length === 0) return;
+      const total = await this.#model.countTokens(batch.map(({ text }) => text).join(''));
+      const estimates = batch.map(({ text }) => estimateTokens(text));
+      const estimated = estimates.reduce((sum, tokens) => sum + tokens, 0) || 1;
+      batch.forEach(({ message }, index) => this.#tokenCounts.set(message, Math.round(total * estimates[index] / estimated)));
+      batch = [];
+      batchTokens = 0;
+    };
+
+    for (const entry of uncached) {
+      const tokens = estimateTokens(entry.text);
+      if (batchTokens + tokens > COUNT_BATCH_TOKENS) await countBatch();
+      batch.push(entry);
+      batchTokens += tokens;
+    }
+    await countBatch();
+
+    return messages.map(message => this.#tokenCounts.get(message));
+  }
+
+  /**
+   * Builds the conversation context for the next request
+   * @param {SessionManager} sessionManager - Source of history and summary
+   * @param {string} fixedText - Prompt text sent regardless of history (instructions, schema, input)
+   * @returns {Promise<{text: string, tokens: number}>}
+   */
+  async build(sessionManager, fixedText) {
+    const selection = await this.#select(sessionManager, fixedText);
+    if (!selection) return { text: '', tokens: 0 };
+
+    const { history, plan, summary } = selection;
+    let text = '';
+    if (summary?.text) {
+      text += `Summary of earlier conversation:\n${summary.text}\n\n`;
+    }
+    text += 'Previous conversation:\n';
+    text += plan.included.map(index => this.formatMessage(history[index])).join('');
+
+    return { text, tokens: plan.usedTokens };
+  }
+
+  /**
+   * Builds the conversation as multi-turn contents for a model call with tools.
+   * Executions made through function calls become the model's `functionCall`
+   * parts followed by the `functionResponse` parts; other messages are text.
+   * @param {SessionManager} sessionManager - Source of history and summary
+   * @param {string} fixedText - Prompt text sent regardless of history (system instruction)
+   * @returns {Promise<{contents: Array<object>, tokens: number}>}
+   */
+  async buildContents(sessionManager, fixedText) {
+    const selection = await this.#select(sessionManager, fixedText);
+    if (!selection) return { contents: [], tokens: 0 };
+
+    const { history, plan, summary } = selection;
+    const contents = [];
+    // Consecutive parts of one role form a single message
+    const push = (role, parts) => {
+      const last = contents[contents.length - 1];
+      if (last?.role === role) last.parts.push(...parts);
+      else contents.push({ role, parts });
+    };
+
+    if (summary?.text) {
+      push('user', [{ text: `Summary of earlier conversation:\n${summary.text}` }]);
+    }
+    for (const message of plan.included.map(index => history[index])) {
+      if (message.role === 'user') {
+        push('user', [{ text: String(message.content) }]);
+      } else if (message.role === 'assistant') {
+        push('model', [{ text: String(message.content) }]);
+      } else if (message.calls) {
+        push('model', message.calls.map(({ id, name, args, thoughtSignature }) => ({
+          functionCall: { ...(id ? { id } : {}), name, args },
+          ...(thoughtSignature ? { thoughtSignature } : {})
+        })));
+        push('user', message.calls.map(call => ({
+          functionResponse: { ...(call.id ? { id: call.id } : {}), name: call.name, response: this.#functionResponse(message, call) }
+        })));
+      } else {
+        push('user', [{ text: this.formatMessage(message) }]);
+      }
+    }
+
+    return { contents, tokens: plan.usedTokens };
+  }
+
+  /**
+   * Picks the history messages for the next request, summarizing what no longer fits
+   * @private
+   */
+  async #select(sessionManager, fixedText) {
+    let history = sessionManager.getConversationHistory();
+    if (history.length === 0) {
+      this.#track({ tokens: await this.#countText(fixedText), messages: 0, summarized: 0 });
+      return null;
+    }
+
+    let plan = await this.#plan(history, sessionManager.getSummary(), fixedText);
+
+    if (plan.unsummarized.length > 0) {
+      await this.#summarize(sessionManager, history, plan);
+      history = sessionManager.getConversationHistory();
+      plan = await this.#plan(history, sessionManager.getSummary(), fixedText);
+    }
+
+    const summary = sessionManager.getSummary();
+    this.#track({
+      tokens: plan.usedTokens + plan.fixedTokens,
+      messages: plan.included.length,
+      summarized: summary?.coversUntil ?? 0
+    });
+
+    return { history, plan, summary };
+  }
+
+  /**
+   * Decides which messages fit in the budget
+   * @private
+   */
+  async #plan(history, summary, fixedText) {
+    const coversUntil = summary?.coversUntil ?? 0;
+    const fixedTokens = await this.#countText(fixedText);
+    const summaryTokens = summary?.text ? await this.#countText(summary.text) : 0;
+
+    // The current turn starts at the last user message; the first user message is the original question
+    const turnStart = history.map(({ role }) => role).lastIndexOf('user');
+    const firstQuestion = history.findIndex(({ role }) => role === 'user');
+    const required = new Set(history
+      .map((message, index) => index)
+      .filter(index => index >= turnStart && turnStart !== -1
+        || index === firstQuestion
+        || history[index].pinned));
+
+    const counts = await this.#tokensOf(history);
+
+    let usedTokens = summaryTokens;
+    for (const index of required) usedTokens += counts[index];
+
+    const available = this.#maxTokens - fixedTokens;
+    const included = new Set(required);
+    const unsummarized = [];
+
+    let windowOpen = true;
+    for (let index = history.length - 1; index >= 0; index--) {
+      if (required.has(index)) continue;
+      if (windowOpen && index >= coversUntil && usedTokens + counts[index] <= available) {
+        included.add(index);
+        usedTokens += counts[index];
+        continue;
+      }
+      // Once a message does not fit, everything older goes to the summary
+      windowOpen = false;
+      if (index >= coversUntil) unsummarized.unshift(index);
+    }
+
+    return {
+      included: [...included].sort((a, b) => a - b),
+      unsummarized,
+      usedTokens,
+      fixedTokens,
+      available
+    };
+  }
+
+  /**
+   * Folds the messages that fell out of the window into the running summary.
+   * Half of the remaining budget is freed at once so summaries are not rewritten every request.
+   * @private
+   */
+  async #summarize(sessionManager, history, plan) {
+    const summary = sessionManager.getSummary();
+    const counts = await this.#tokensOf(history);
+
+    let coversUntil = plan.unsummarized[plan.unsummarized.length - 1] + 1;
+    let windowTokens = plan.included
+      .filter(index => index >= coversUntil && !history[index].pinned)
+      .reduce((sum, index) => sum + counts[index], 0);
+    const turnStart = history.map(({ role }) => role).lastIndexOf('user');
+
+    while (windowTokens > plan.available / 2 && coversUntil < turnStart) {
+      if (!history[coversUntil].pinned) windowTokens -= counts[coversUntil];
+      coversUntil++;
+    }
+
+    const messages = history
+      .slice(summary?.coversUntil ?? 0, coversUntil)
+      .filter(message => !message.pinned)
+      .map(message => this.formatMessage(message))
+      .join('');
+
+    console.log(chalk.gray('🗜️ Summarizing earlier conversation...'));
+    try {
+      const instructions = await fs.readFile('prompts/summary-prompt.txt', 'utf8');
+      const text = await this.#model.generateContent(
+        `${instructions}\n\nExisting summary:\n${summary?.text ?? '(none)'}\n\nMessages to add:\n${messages}`
+      );
+      sessionManager.setSummary({ text: text.trim(), coversUntil });
+    } catch (error) {
+      // Without a summary the old messages are simply dropped from the prompt
+      console.warn(chalk.yellow(`⚠️ Could not summarize conversation: ${error.message}`));
+      sessionManager.setSummary({ text: summary?.text ?? '', coversUntil });
+    }
+  }
+
+  #track(request) {
+    this.#requests.push({ ...request, at: new Date().toISOString() });
+  }
+
+  /**
+   * Context sizes of the requests built so far
+   * @returns {{requests: number, last: (object|null), maxTokens: number, averageTokens: number, budget: number}}
+   */
+  get stats() {
+    const sizes = this.#requests.map(({ tokens }) => tokens);
+    return {
+      requests: this.#requests.length,
+      last: this.#requests[this.#requests.length - 1] ?? null,
+      maxTokens: sizes.length > 0 ? Math.max(...sizes) : 0,
+      averageTokens: sizes.length > 0 ? Math.round(sizes.reduce((sum, size) => sum + size, 0) / sizes.length) : 0,
+      budget: this.#maxTokens
+    };
+  }
+}
+
+export default ContextBuilder;
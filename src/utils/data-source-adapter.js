@@ -0,0 +1,232 @@
+/**
+ * Data Source Adapter
+ * The interface every database integration implements, so the chat loop, the
+ * schema catalog and the data-source registry treat all databases alike:
+ *
+ * - `dialect`: name of the database flavour (PostgreSQL, MySQL, MariaDB, SQLite, MongoDB),
+ *   shown to the user and in the prompt
+ * - `execute(query, options)`: runs the text of a query block. SQL adapters implement
+ *   `executeQuery(sql, options)` instead and return `{ rows, columns, rowCount, truncated }`
+ *   with `columns` as `{ name, type, typeId }`, or an array of those when the text holds
+ *   several statements
+ * - `describeSchema(options)`: `{ tables }` for SQL databases, `{ collections }` for MongoDB
+ * - `readOnly` (SQL adapters): whether writes are rejected, which the prompt tells the model
+ * - `ping()` and `close()`
+ */
+class DataSourceAdapter {
+  /**
+   * Database flavour, e.g. 'PostgreSQL'
+   * @returns {string}
+   */
+  get dialect() {
+    throw new Error(`${this.constructor.name} must implement dialect`);
+  }
+
+  /**
+   * Runs a query block; for SQL adapters the block is SQL and runs through `executeQuery`
+   * @param {string} query - Block content
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the query
+   * @param {Function} [options.confirm] - Async callback asked to approve queries that need confirmation
+   * @returns {Promise<any>}
+   */
+  async execute(query, options = {}) {
+    if (typeof this.executeQuery !== 'function') {
+      throw new Error(`${this.constructor.name} must implement execute`);
+    }
+    return this.executeQuery(query, options);
+  }
+
+  /**
+   * Introspects the tables or collections for the schema catalog
+   * @param {object} [options] - Adapter specific limits such as sampleSize
+   * @returns {Promise<object>} `{ tables }` or `{ collections }`
+   */
+  async describeSchema(options = {}) {
+    throw new Error(`${this.constructor.name} must implement describeSchema`);
+  }
+
+  /**
+   * Checks that the database answers
+   * @returns {Promise<number>} Round trip in milliseconds
+   */
+  async ping() {
+    throw new Error(`${this.constructor.name} must implement ping`);
+  }
+
+  /**
+   * Releases connections, processes or files
+   */
+  async close() {
+  }
+}
+
+/**
+ * Error thrown by adapters when a query is cancelled through its AbortSignal
+ * @returns {Error}
+ */
+export const abortError = () => {
+  const error = new Error('Query cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Runs a request through the cassette when there is one: recorded while
+ * recording, answered from the file while replaying
+ * @param {Cassette|null} cassette - The adapter's cassette
+ * @param {string} kind - Interaction kind, e.g. 'postgres'
+ * @param {object} request - What identifies the interaction in the file
+ * @param {Function} perform - Runs the request against the database
+ * @returns {Promise<any>}
+ */
+export const intercept = (cassette, kind, request, perform) =>
+  cassette ? cassette.intercept(kind, request, perform) : perform();
+
+/**
+ * Error raised when the database fails a query, e.g. a syntax error, an unknown
+ * column, a missing permission or a timeout. It is reported back to the model
+ * with what it needs to repair the query.
+ */
+export class QueryError extends Error {
+  /**
+   * @param {string} message - Database message
+   * @param {object} [details]
+   * @param {string|number} [details.code] - Driver or server error code, e.g. 42703 or ER_BAD_FIELD_ERROR
+   * @param {string} [details.sqlState] - SQLSTATE reported by SQL databases
+   * @param {string} [details.statement] - Failing statement
+   * @param {number} [details.statementNumber] - 1-based number of the failing statement when the query had several
+   * @param {number} [details.position] - 1-based character offset of the error in the statement
+   * @param {string} [details.near] - Text where the error was found, for databases that report it instead of a position
+   * @param {string} [details.hint] - Suggestion from the server
+   * @param {string} [details.detail] - Further explanation from the server
+   * @param {Error} [details.cause] - The driver's error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'QueryError';
+    this.code = details.code ?? 'QUERY_FAILED';
+    this.sqlState = details.sqlState ?? null;
+    this.statement = details.statement ?? null;
+    this.statementNumber = details.statementNumber ?? null;
+    this.position = details.position ?? null;
+    this.near = details.near ?? null;
+    this.hint = details.hint ?? null;
+    this.detail = details.detail ?? null;
+  }
+
+  /**
+   * Wraps a driver error; AbortErrors and QueryErrors are returned as they are
+   * @param {Error} error - Error thrown by the driver
+   * @param {object} [details] - See the constructor; `code` defaults to the driver's
+   * @returns {Error}
+   */
+  static from(error, details = {}) {
+    if (error instanceof QueryError || error.name === 'AbortError') return error;
+    return new QueryError(error.message, { code: error.code, ...details, cause: error });
+  }
+
+  /**
+   * The details the error was created with, enough to rebuild it
+   * @returns {object}
+   */
+  get details() {
+    const { code, sqlState, statement, statementNumber, position, near, hint, detail } = this;
+    return { code, sqlState, statement, statementNumber, position, near, hint, detail };
+  }
+
+  /**
+   * Line and column of the error in the failing statement, from `position` or
+   * from where `near` occurs in it
+   * @returns {{line: number, column: number}|null}
+   */
+  get location() {
+    if (!this.statement) return null;
+    const offset = this.position ? this.position - 1 : this.near ? this.statement.indexOf(this.near) : -1;
+    if (offset < 0 || offset > this.statement.length) return null;
+
+    const before = this.statement.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  toJSON() {
+    const near = this.near ?? (this.statement && this.position
+      ? this.statement.slice(this.position - 1, this.position + 29)
+      : null);
+    const details = {
+      code: this.code,
+      message: this.message,
+      sqlState: this.sqlState,
+      statementNumber: this.statementNumber,
+      // The query is reported with the execution; the statement only matters when it had several
+      statement: this.statementNumber ? this.statement : null,
+      position: this.position,
+      ...this.location,
+      near,
+      hint: this.hint,
+      detail: this.detail
+    };
+    return Object.fromEntries(Object.entries(details).filter(([, value]) => value !== null && value !== undefined));
+  }
+}
+
+/**
+ * Reads a numeric setting of an adapter, so that a mistyped environment
+ * variable fails at startup instead of reaching the database as NaN
+ * @param {string} name - Setting as the user configures it, e.g. POSTGRES_MAX_ROWS
+ * @param {number|string} value - Option, or the text of the environment variable
+ * @param {number} [min=0] - Smallest allowed value
+ * @returns {number}
+ * @throws {Error} When the value is not an integer of at least `min`
+ */
+export const integerSetting = (name, value, min = 0) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < min) {
+    const expected = min === 0 ? 'a non-negative integer' : `an integer of at least ${min}`;
+    throw new Error(`${name} must be ${expected}, got "${value}"`);
+  }
+  return number;
+};
+
+/**
+ * Groups introspected columns and keys into the tables `describeSchema` returns
+ * @param {Array<object>} columns - `{ schema, table, kind, column, type, nullable, tableComment, columnComment }` in column order
+ * @param {Array<object>} keys - `{ schema, table, column, primaryKey, references }` where `references` is
+ *   `schema.table.column` of a foreign key, or null
+ * @returns {Array<object>} `{ schema, name, kind, comment, columns }` with
+ *   `columns` as `{ name, type, nullable, comment, primaryKey, references }`
+ */
+export const groupTables = (columns, keys = []) => {
+  const tables = new Map();
+  for (const row of columns) {
+    const key = `${row.schema}.${row.table}`;
+    if (!tables.has(key)) {
+      tables.set(key, {
+        schema: row.schema,
+        name: row.table,
+        kind: row.kind ?? 'table',
+        comment: row.tableComment || null,
+        columns: []
+      });
+    }
+    tables.get(key).columns.push({
+      name: row.column,
+      type: row.type,
+      nullable: row.nullable,
+      comment: row.columnComment || null,
+      primaryKey: false,
+      references: null
+    });
+  }
+
+  for (const { schema, table, column: name, primaryKey, references } of keys) {
+    const column = tables.get(`${schema}.${table}`)?.columns.find(entry => entry.name === name);
+    if (!column) continue;
+    if (primaryKey) column.primaryKey = true;
+    if (references) column.references = references;
+  }
+
+  return [...tables.values()];
+};
+
+export default DataSourceAdapter;
@@ -0,0 +1,369 @@
+import { promises as fs } from 'fs';
+import PostgresIntegration from './postgres-integration.js';
+import MongoDBIntegration from './mongodb-integration.js';
+import SqliteIntegration from './sqlite-integration.js';
+import MySQLIntegration from './mysql-integration.js';
+import Cassette from './cassette.js';
+import SqlGuard from './sql-guard.js';
+
+const DATA_SOURCES_FILE = './data-sources.json';
+
+const SOURCE_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Query languages, the fences of the blocks written in them and the tool that runs them
+ */
+export const QUERY_LANGUAGES = Object.freeze({
+  sql: { label: 'SQL', fences: ['sql'], tool: 'run_sql' },
+  mongodb: { label: 'MongoDB', fences: ['mongodb', 'javascript'], tool: 'run_mongo' }
+});
+
+/**
+ * Supported source types, the language they are queried in, the SqlGuard
+ * dialect and write switch of SQL sources and how their adapter (see
+ * DataSourceAdapter) is created from the source's options
+ */
+export const DATA_SOURCE_TYPES = Object.freeze({
+  postgres: {
+    sqlDialect: 'postgresql',
+    allowWriteVariable: 'POSTGRES_ALLOW_WRITE',
+    label: 'PostgreSQL',
+    language: 'sql',
+    create: (options) => new PostgresIntegration(options)
+  },
+  mysql: {
+    sqlDialect: 'mysql',
+    allowWriteVariable: 'MYSQL_ALLOW_WRITE',
+    label: 'MySQL/MariaDB',
+    language: 'sql',
+    create: (options) => new MySQLIntegration(options)
+  },
+  sqlite: {
+    sqlDialect: 'sqlite',
+    allowWriteVariable: 'SQLITE_ALLOW_WRITE',
+    label: 'SQLite',
+    language: 'sql',
+    // The uri of a SQLite source is the path of the database file
+    create: ({ connectionString, ...options }) => new SqliteIntegration({ ...options, file: connectionString })
+  },
+  mongodb: {
+    label: 'MongoDB',
+    language: 'mongodb',
+    create: (options) => new MongoDBIntegration(options)
+  }
+});
+
+/**
+ * Error raised when a query block names a source that does not exist or has
+ * another type; reported back to the model
+ */
+export class DataSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DataSourceError';
+    this.code = 'UNKNOWN_SOURCE';
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message
+    };
+  }
+}
+
+/**
+ * Replaces `${NAME}` with the environment variable so credentials can stay out of the file
+ */
+const expandEnv = (value) => typeof value === 'string'
+  ? value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] ?? '')
+  : value;
+
+/**
+ * Data Sources
+ * The named database connections of a session. Integrations are created on
+ * first use and shared until `close()`; the first source of each query
+ * language (or the one marked `default`) answers untagged query blocks.
+ */
+class DataSources {
+  #sources = new Map();
+  #integrations = new Map();
+
+  /**
+   * @param {Array<object>} definitions - `{ name, type, uri, description?, default?, options? }` per source;
+   *   `options` go to the integration constructor (e.g. maxRows, sslMode, policy, backend). The uri of a
+   *   SQLite source is a file path.
+   * @throws {Error} When a definition is invalid
+   */
+  constructor(definitions) {
+    const replaying = Cassette.fromEnv()?.replaying;
+
+    for (const { name, type, uri, description = '', default: isDefault = false, options = {} } of definitions) {
+      if (!SOURCE_NAME.test(name ?? '')) {
+        throw new Error(`❌ Invalid data source name "${name}": use letters, digits, _ and -`);
+      }
+      if (this.#sources.has(name)) {
+        throw new Error(`❌ Duplicate data source name "${name}"`);
+      }
+      if (!DATA_SOURCE_TYPES[type]) {
+        throw new Error(`❌ Data source "${name}" has unknown type "${type}". Expected one of ${Object.keys(DATA_SOURCE_TYPES).join(', ')}`);
+      }
+      // Replayed sessions never connect, so recorded sources need no URI
+      if (!uri && !replaying) {
+        throw new Error(`❌ Data source "${name}" has no uri`);
+      }
+      this.#sources.set(name, {
+        name,
+        type,
+        uri,
+        description,
+        default: isDefault,
+        options,
+        writes: DataSources.#allowsWrites(name, DATA_SOURCE_TYPES[type], options)
+      });
+    }
+
+    // Without an explicit default the first source of each language answers untagged blocks
+    for (const [language, { label }] of Object.entries(QUERY_LANGUAGES)) {
+      const candidates = this.#inLanguage(language);
+      if (candidates.length > 0 && !candidates.some(source => source.default)) {
+        candidates[0].default = true;
+      }
+      if (candidates.filter(source => source.default).length > 1) {
+        throw new Error(`❌ More than one default ${label} data source`);
+      }
+    }
+  }
+
+  /**
+   * Whether a SQL source accepts writes, worked out from its `allowedCategories`
+   * option or *_ALLOW_WRITE setting the same way its adapter does, without creating it
+   * @throws {Error} When allowedCategories is invalid
+   * @private
+   */
+  static #allowsWrites(name, { sqlDialect, allowWriteVariable }, options) {
+    if (!sqlDialect) return false;
+    try {
+      const { allowedCategories = SqlGuard.categoriesFromEnv(allowWriteVariable) } = options;
+      return !new SqlGuard({ allowedCategories, dialect: sqlDialect }).readOnly;
+    } catch (error) {
+      throw new Error(`❌ Data source "${name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads the data-source file, a JSON object keyed by source name:
+   * `{ "analytics": { "type": "postgres", "uri": "${ANALYTICS_URI}", "description": "Event warehouse", "maxRows": 500 } }`.
+   * Keys besides type, uri, description and default are integration options.
+   * Without a file, POSTGRES_URI, MYSQL_URI, SQLITE_FILE and MONGODB_URI become the sources
+   * `postgres`, `mysql`, `sqlite` and `mongodb`.
+   * @param {object} [options]
+   * @param {string} [options.file] - Defaults to DATA_SOURCES_FILE or ./data-sources.json
+   * @returns {Promise<DataSources>}
+   * @throws {Error} When the file is not valid JSON or a source is invalid
+   */
+  static async load(options = {}) {
+    const { file = process.env.DATA_SOURCES_FILE ?? DATA_SOURCES_FILE } = options;
+
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' || process.env.DATA_SOURCES_FILE) {
+        throw new Error(`❌ Could not read data sources from ${file}: ${error.message}`);
+      }
+      return DataSources.fromEnv();
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`❌ ${file} is not valid JSON: ${error.message}`);
+    }
+
+    return new DataSources(Object.entries(config).map(([name, entry]) => {
+      const { type, uri, description, default: isDefault, ...rest } = entry ?? {};
+      return {
+        name,
+        type,
+        uri: expandEnv(uri),
+        description,
+        default: isDefault,
+        options: Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, expandEnv(value)]))
+      };
+    }));
+  }
+
+  /**
+   * The single-database setup: POSTGRES_URI, MYSQL_URI, SQLITE_FILE and MONGODB_URI
+   * @returns {DataSources}
+   */
+  static fromEnv() {
+    const definitions = [];
+    if (process.env.POSTGRES_URI) {
+      definitions.push({ name: 'postgres', type: 'postgres', uri: process.env.POSTGRES_URI });
+    }
+    if (process.env.MYSQL_URI) {
+      definitions.push({ name: 'mysql', type: 'mysql', uri: process.env.MYSQL_URI });
+    }
+    if (process.env.SQLITE_FILE) {
+      definitions.push({ name: 'sqlite', type: 'sqlite', uri: process.env.SQLITE_FILE });
+    }
+    if (process.env.MONGODB_URI) {
+      definitions.push({ name: 'mongodb', type: 'mongodb', uri: process.env.MONGODB_URI });
+    }
+    return new DataSources(definitions);
+  }
+
+  /**
+   * The configured sources
+   * @returns {Array<{name: string, type: string, description: string, default: boolean}>}
+   */
+  list() {
+    return [...this.#sources.values()].map(({ name, type, description, default: isDefault }) => ({
+      name,
+      type,
+      description,
+      default: isDefault
+    }));
+  }
+
+  get size() {
+    return this.#sources.size;
+  }
+
+  #inLanguage(language) {
+    return [...this.#sources.values()].filter(source => DATA_SOURCE_TYPES[source.type].language === language);
+  }
+
+  /**
+   * Finds the source a query block is meant for
+   * @param {string} fence - Fence language: sql, mongodb or javascript
+   * @param {string} [tag] - Source name after the colon, e.g. `analytics` in ```sql:analytics
+   * @returns {{name: string, type: string, language: string}}
+   * @throws {DataSourceError} When no source of that language has the name, or none is configured
+   */
+  resolve(fence, tag) {
+    const language = Object.keys(QUERY_LANGUAGES).find(key => QUERY_LANGUAGES[key].fences.includes(fence));
+    const candidates = this.#inLanguage(language);
+    const { label } = QUERY_LANGUAGES[language];
+
+    const source = tag
+      ? candidates.find(({ name }) => name === tag)
+      : candidates.find(candidate => candidate.default);
+    if (source) return { name: source.name, type: source.type, language };
+
+    const available = candidates.map(({ name }) => name).join(', ') || 'none';
+    throw new DataSourceError(tag
+      ? `No ${label} source named "${tag}". Available ${label} sources: ${available}`
+      : `No ${label} source is configured`);
+  }
+
+  /**
+   * The shared integration of a source, created on first use
+   * @param {string} name - Source name
+   * @returns {DataSourceAdapter}
+   */
+  integration(name) {
+    if (!this.#integrations.has(name)) {
+      this.#integrations.set(name, this.create(name));
+    }
+    return this.#integrations.get(name);
+  }
+
+  /**
+   * A new integration for a source that the caller closes itself
+   * @param {string} name - Source name
+   * @returns {DataSourceAdapter}
+   */
+  create(name) {
+    const source = this.#sources.get(name);
+    if (!source) throw new DataSourceError(`No data source named "${name}"`);
+    return DATA_SOURCE_TYPES[source.type].create({ ...source.options, connectionString: source.uri, source: name });
+  }
+
+  /**
+   * Sources whose shared integration has been created
+   * @returns {Array<{name: string, type: string, integration: object}>}
+   */
+  active() {
+    return [...this.#integrations.entries()].map(([name, integration]) => ({
+      name,
+      type: this.#sources.get(name).type,
+      integration
+    }));
+  }
+
+  /**
+   * Pings every source
+   * @returns {Promise<Array<{name: string, type: string, ok: (boolean|null), latencyMs: (number|null), error: (string|null)}>>}
+   *   `ok` is null when replaying a cassette, since nothing is contacted then
+   */
+  async check() {
+    const replaying = Cassette.fromEnv()?.replaying;
+    return Promise.all(this.list().map(async ({ name, type }) => {
+      if (replaying) {
+        return { name, type, ok: null, latencyMs: null, error: 'replaying a cassette' };
+      }
+      try {
+        const latencyMs = await this.integration(name).ping();
+        return { name, type, ok: true, latencyMs, error: null };
+      } catch (error) {
+        return { name, type, ok: false, latencyMs: null, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Names of the sources queried in a language
+   * @param {string} language - A QUERY_LANGUAGES key
+   * @returns {string[]}
+   */
+  names(language) {
+    return this.#inLanguage(language).map(({ name }) => name);
+  }
+
+  /**
+   * Whether a SQL source accepts writes (`allowedCategories` or its *_ALLOW_WRITE setting)
+   * @param {string} name - Source name
+   * @returns {boolean}
+   */
+  allowsWrites(name) {
+    return this.#sources.get(name)?.writes ?? false;
+  }
+
+  /**
+   * Describes the sources for the prompt
+   * @param {object} [options]
+   * @param {boolean} [options.tools=false] - Explain how tool calls choose a source instead of query blocks
+   * @returns {string} Empty when there are none
+   */
+  describe(options = {}) {
+    const { tools = false } = options;
+    if (this.#sources.size === 0) return '';
+
+    const lines = this.list().map(({ name, type, description, default: isDefault }) => {
+      const { label, language } = DATA_SOURCE_TYPES[type];
+      const { fences, tool } = QUERY_LANGUAGES[language];
+      const role = isDefault ? `, default for ${tools ? tool : `\`\`\`${fences[0]}`}` : '';
+      const writes = language === 'sql' && this.allowsWrites(name) ? ', writes allowed' : '';
+      return `- ${name}: ${label}${role}${writes}${description ? ` - ${description}` : ''}`;
+    });
+    const header = tools
+      ? 'Data sources (pass the name as `source` to target one; without it the default source of its kind is used):\n'
+      : 'Data sources (add the name to a query block to target one, e.g. ```sql:name; untagged blocks go to the default source of their kind):\n';
+    return header + lines.join('\n') + '\n';
+  }
+
+  /**
+   * Closes every shared integration
+   */
+  async close() {
+    const integrations = [...this.#integrations.values()];
+    this.#integrations.clear();
+    await Promise.all(integrations.map(integration => integration.close()));
+  }
+}
+
+export default DataSources;
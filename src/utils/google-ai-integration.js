@@ -1,20 +1,47 @@
-import { GoogleGenAI } from '@google/genai';
+import { createProvider } from './providers/index.js';
+import Cassette from './cassette.js';
+import { estimateTokens } from './tokens.js';
+import { ModelError, BLOCKED_FINISH_REASONS } from './model-error.js';
 
+/**
+ * LLM Model
+ * Holds the model name and generation settings and delegates the actual calls
+ * to a provider (Vertex AI, Gemini API, OpenAI-compatible endpoint or mock).
+ * Failed requests are classified (see ModelError) and retried with exponential
+ * backoff when a retry may help, requests that stop sending data time out, and
+ * answers cut off at the output token limit are continued.
+ */
 class Model {
-    #ai;
+    #provider;
     #model;
     #generationConfig;
+    #cassette;
+    #functionCalling;
+    #maxRetries;
+    #retryBaseDelayMs;
+    #retryMaxDelayMs;
+    #timeoutMs;
+    #maxContinuations;
+    #usageTracker;
 
     static DEFAULT_CONFIG = {
-        project: 'gen-lang-client-0312359180',
-        location: 'global',
+        provider: 'vertex',
         model: 'gemini-2.5-flash',
         maxOutputTokens: 65535,
         temperature: 1,
         topP: 1,
-        seed: 0
+        seed: 0,
+        maxRetries: 3,
+        retryBaseDelayMs: 1000,
+        retryMaxDelayMs: 30000,
+        timeoutMs: 60000,
+        maxContinuations: 2
     };
 
+    // Sent after an answer that hit the output token limit
+    static CONTINUE_PROMPT = 'Your answer was cut off by the output limit. Continue exactly where it stopped, '
+        + 'without repeating anything or adding an introduction.';
+
     static SAFETY_SETTINGS = [
         {
             category: 'HARM_CATEGORY_HATE_SPEECH',
@@ -34,21 +61,52 @@ class Model {
         },
     ];
 
+    /**
+     * @param {object} [options]
+     * @param {string|LLMProvider} [options.provider] - Provider name or instance, defaults to LLM_PROVIDER or 'vertex'
+     * @param {string} [options.model] - Model name, defaults to LLM_MODEL or gemini-2.5-flash
+     * @param {object} [options.generationConfig] - Overrides for the generation settings
+     * @param {Cassette|null} [options.cassette] - Records or replays calls, defaults to CASSETTE_MODE
+     * @param {boolean} [options.functionCalling] - Offer tools to providers that support them,
+     *   defaults to true unless FUNCTION_CALLING=false
+     * @param {number} [options.maxRetries] - Retries of a failed request that may succeed, defaults to MODEL_MAX_RETRIES or 3
+     * @param {number} [options.retryBaseDelayMs] - First backoff delay, doubled on every retry, defaults to 1000
+     * @param {number} [options.retryMaxDelayMs] - Longest backoff delay, defaults to 30000
+     * @param {number} [options.timeoutMs] - How long a request may go without sending data, defaults to MODEL_TIMEOUT_MS or 60000
+     * @param {number} [options.maxContinuations] - Follow-up requests for an answer cut off at the output token limit,
+     *   defaults to MODEL_MAX_CONTINUATIONS or 2
+     * @param {UsageTracker|null} [options.usageTracker] - Receives the token usage of every request
+     * Any other option (project, location, apiKey, baseUrl, responses, ...) is passed to the provider.
+     */
     constructor(options = {}) {
         const {
-            project = Model.DEFAULT_CONFIG.project,
-            location = Model.DEFAULT_CONFIG.location,
-            model = Model.DEFAULT_CONFIG.model,
-            generationConfig = {}
+            provider = process.env.LLM_PROVIDER ?? Model.DEFAULT_CONFIG.provider,
+            model = process.env.LLM_MODEL ?? Model.DEFAULT_CONFIG.model,
+            generationConfig = {},
+            cassette = Cassette.fromEnv(),
+            functionCalling = process.env.FUNCTION_CALLING !== 'false',
+            maxRetries = Number(process.env.MODEL_MAX_RETRIES ?? Model.DEFAULT_CONFIG.maxRetries),
+            retryBaseDelayMs = Model.DEFAULT_CONFIG.retryBaseDelayMs,
+            retryMaxDelayMs = Model.DEFAULT_CONFIG.retryMaxDelayMs,
+            timeoutMs = Number(process.env.MODEL_TIMEOUT_MS ?? Model.DEFAULT_CONFIG.timeoutMs),
+            maxContinuations = Number(process.env.MODEL_MAX_CONTINUATIONS ?? Model.DEFAULT_CONFIG.maxContinuations),
+            usageTracker = null,
+            ...providerOptions
         } = options;
 
-        this.#ai = new GoogleGenAI({
-            vertexai: true,
-            project,
-            location,
-        });
-        
+        this.#provider = typeof provider === 'string'
+            ? createProvider(provider, providerOptions)
+            : provider;
+
         this.#model = model;
+        this.#cassette = cassette;
+        this.#functionCalling = functionCalling;
+        this.#maxRetries = maxRetries;
+        this.#retryBaseDelayMs = retryBaseDelayMs;
+        this.#retryMaxDelayMs = retryMaxDelayMs;
+        this.#timeoutMs = timeoutMs;
+        this.#maxContinuations = maxContinuations;
+        this.#usageTracker = usageTracker;
 
         this.#generationConfig = {
             maxOutputTokens: Model.DEFAULT_CONFIG.maxOutputTokens,
@@ -60,28 +118,380 @@ class Model {
         };
     }
 
-    async generateContent(prompt) {
+    /**
+     * Creates the error thrown when a generation is cancelled through its AbortSignal
+     * @returns {Error}
+     */
+    static abortError() {
+        const error = new Error('Generation cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Waits before a retry; cancelled through the signal
+     * @private
+     */
+    static #sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(Model.abortError());
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(Model.abortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Streams the normalized chunks of one request straight from the provider.
+     * The request is aborted when no chunk arrives within the timeout.
+     * @private
+     */
+    async* #stream(contents, config, signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        let timer;
+        const arm = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => controller.abort(), this.#timeoutMs);
+        };
+
         try {
-            const req = {
+            arm();
+            const streamingResp = await this.#provider.generateContentStream({
                 model: this.#model,
-                contents: [prompt],
-                config: this.#generationConfig,
+                contents,
+                config: { ...this.#generationConfig, ...config },
+                signal: controller.signal
+            });
+            for await (const chunk of streamingResp) {
+                if (controller.signal.aborted) throw Model.abortError();
+                arm();
+                yield chunk;
+            }
+        } catch (error) {
+            if (signal?.aborted) throw Model.abortError();
+            if (controller.signal.aborted) {
+                throw new ModelError(`The model sent nothing for ${this.#timeoutMs / 1000}s`, { code: 'TIMEOUT', cause: error });
+            }
+            throw ModelError.from(error);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Runs one request and collects its answer, passing text on as it arrives
+     * @private
+     */
+    async #attempt(contents, config, { onText, signal }) {
+        let text = '';
+        const functionCalls = [];
+        let finishReason;
+        let usageMetadata;
+
+        for await (const chunk of this.#stream(contents, config, signal)) {
+            if (chunk.blockReason) {
+                throw new ModelError(`The prompt was blocked by the safety filters (${chunk.blockReason})`, {
+                    code: 'SAFETY_BLOCKED',
+                    finishReason: chunk.blockReason
+                });
+            }
+            functionCalls.push(...(chunk.functionCalls ?? []));
+            finishReason = chunk.finishReason ?? finishReason;
+            usageMetadata = chunk.usageMetadata ?? usageMetadata;
+            if (!chunk.text) continue;
+            text += chunk.text;
+            onText(chunk.text);
+        }
+
+        if (BLOCKED_FINISH_REASONS.has(finishReason)) {
+            throw new ModelError(`The answer was withheld by the safety filters (${finishReason})`, {
+                code: 'SAFETY_BLOCKED',
+                finishReason
+            });
+        }
+        if (finishReason === 'MALFORMED_FUNCTION_CALL') {
+            throw new ModelError('The model returned a malformed function call', { code: 'MALFORMED_RESPONSE', finishReason });
+        }
+        return { text, functionCalls, finishReason, usageMetadata };
+    }
+
+    /**
+     * Runs a request, retrying failures that may succeed with exponential backoff and jitter.
+     * A request that already streamed text is not retried, as the text has been shown.
+     * @private
+     */
+    async #request(contents, config, { onChunk, signal }) {
+        for (let attempt = 1; ; attempt++) {
+            let streamed = false;
+            const onText = (text) => {
+                streamed = true;
+                onChunk?.(text);
             };
 
-            const streamingResp = await this.#ai.models.generateContentStream(req);
-            
-            const getStreamedContent = async (stream) => {
-                let text = '';
-                for await (const chunk of stream) {
-                    text += chunk.text ?? JSON.stringify(chunk) + '\n';
-                }
-                return text;
+            try {
+                return await this.#attempt(contents, config, { onText, signal });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                error.attempts = attempt;
+                if (!error.retryable || streamed || attempt > this.#maxRetries) throw error;
+
+                // Full backoff doubles per attempt; the jitter keeps concurrent clients apart
+                const backoff = Math.min(this.#retryMaxDelayMs, this.#retryBaseDelayMs * 2 ** (attempt - 1));
+                const delay = Math.max(backoff / 2 + Math.random() * backoff / 2, error.retryAfterMs ?? 0);
+                console.warn(`⏳ ${error.message} (${error.code}); retrying in ${(delay / 1000).toFixed(1)}s, `
+                    + `attempt ${attempt + 1} of ${this.#maxRetries + 1}`);
+                await Model.#sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Token usage of one request as reported by the provider; providers that
+     * report none (the mock, some local servers) are estimated
+     * @private
+     */
+    #usageOf({ usageMetadata, text, functionCalls }, contents, config) {
+        if (!usageMetadata) {
+            const prompt = [config.systemInstruction ?? '', ...contents]
+                .map(content => typeof content === 'string' ? content : JSON.stringify(content))
+                .join('\n');
+            const answer = functionCalls.length > 0 ? text + JSON.stringify(functionCalls) : text;
+            return {
+                model: this.#model,
+                promptTokens: estimateTokens(prompt),
+                cachedTokens: 0,
+                candidatesTokens: estimateTokens(answer),
+                thoughtsTokens: 0,
+                estimated: true
             };
-            
-            return await getStreamedContent(streamingResp);
+        }
+        return {
+            model: this.#model,
+            promptTokens: (usageMetadata.promptTokenCount ?? 0) + (usageMetadata.toolUsePromptTokenCount ?? 0),
+            cachedTokens: usageMetadata.cachedContentTokenCount ?? 0,
+            candidatesTokens: usageMetadata.candidatesTokenCount ?? 0,
+            thoughtsTokens: usageMetadata.thoughtsTokenCount ?? 0
+        };
+    }
+
+    /**
+     * Hands the usage of a call's requests to the usage tracker
+     * @private
+     */
+    #recordUsage(usage = []) {
+        for (const entry of usage) this.#usageTracker?.record(entry);
+    }
+
+    /**
+     * Generates a complete answer: retries failed requests and continues
+     * answers that stopped at the output token limit
+     * @private
+     */
+    async #generate(contents, config, options) {
+        let text = '';
+        const functionCalls = [];
+        const usage = [];
+        let request = contents;
+
+        for (let continuations = 0; ; continuations++) {
+            const turn = await this.#request(request, config, options);
+            usage.push(this.#usageOf(turn, request, config));
+            text += turn.text;
+            functionCalls.push(...turn.functionCalls);
+            if (turn.finishReason !== 'MAX_TOKENS' || turn.functionCalls.length > 0) break;
+
+            if (!text) {
+                throw new ModelError(
+                    `The model reached its output limit of ${this.#generationConfig.maxOutputTokens} tokens before answering`,
+                    { code: 'MAX_TOKENS', finishReason: turn.finishReason }
+                );
+            }
+            if (continuations >= this.#maxContinuations) {
+                console.warn(`\n✂️ The answer was cut off at the output limit of ${this.#generationConfig.maxOutputTokens} tokens`
+                    + ` after ${continuations} continuation${continuations === 1 ? '' : 's'}`);
+                break;
+            }
+
+            request = [
+                ...contents.map(content => typeof content === 'string' ? { role: 'user', parts: [{ text: content }] } : content),
+                { role: 'model', parts: [{ text }] },
+                { role: 'user', parts: [{ text: Model.CONTINUE_PROMPT }] }
+            ];
+        }
+
+        return { text, functionCalls, usage };
+    }
+
+    /**
+     * Generates the full answer, optionally reporting it piece by piece
+     * @param {string} prompt - Prompt text
+     * @param {object} [options]
+     * @param {Function} [options.onChunk] - Called with every piece of text as it arrives
+     * @param {AbortSignal} [options.signal] - Cancels the generation
+     * @returns {Promise<string>} The complete answer
+     * @throws {ModelError} When the request fails after its retries or the answer is withheld;
+     *   an `AbortError` when cancelled
+     */
+    async generateContent(prompt, options = {}) {
+        const { onChunk, signal } = options;
+        let streamed = false;
+        const perform = async () => {
+            const { text, usage } = await this.#generate([prompt], {}, {
+                signal,
+                onChunk: (piece) => {
+                    streamed = true;
+                    onChunk?.(piece);
+                }
+            });
+            return { text, usage };
+        };
+
+        const result = this.#cassette
+            ? await this.#cassette.intercept('model', { model: this.#model, contents: [prompt] }, perform)
+            : await perform();
+        // Cassettes recorded before usage accounting hold the bare text
+        const { text, usage } = typeof result === 'string' ? { text: result } : result;
+        this.#recordUsage(usage);
+
+        // Replayed answers arrive in one piece
+        if (!streamed && text) onChunk?.(text);
+        return text;
+    }
+
+    /**
+     * Generates one model turn of a multi-turn conversation, offering tools to call
+     * @param {Array<object>} contents - `{ role, parts }` messages, where parts hold text,
+     *   `functionCall` (model) or `functionResponse` (user) entries
+     * @param {object} [options]
+     * @param {Array<object>} [options.tools] - Gemini function declarations
+     * @param {string} [options.toolMode='AUTO'] - Function calling mode: AUTO, ANY or NONE
+     * @param {string} [options.systemInstruction] - Instructions sent apart from the conversation
+     * @param {Function} [options.onChunk] - Called with every piece of text as it arrives
+     * @param {AbortSignal} [options.signal] - Cancels the generation
+     * @returns {Promise<{text: string, functionCalls: Array<object>, content: object}>} The answer text,
+     *   the requested calls as `{ id, name, args, thoughtSignature }` and the model message to append to `contents`
+     * @throws {ModelError} When the request fails after its retries or the answer is withheld;
+     *   an `AbortError` when cancelled
+     */
+    async generateTurn(contents, options = {}) {
+        const { tools, toolMode = 'AUTO', systemInstruction, onChunk, signal } = options;
+        const config = {
+            ...(systemInstruction ? { systemInstruction } : {}),
+            ...(tools?.length ? {
+                tools: [{ functionDeclarations: tools }],
+                toolConfig: { functionCallingConfig: { mode: toolMode } }
+            } : {})
+        };
+        let streamed = false;
+        const perform = () => this.#generate(contents, config, {
+            signal,
+            onChunk: (piece) => {
+                streamed = true;
+                onChunk?.(piece);
+            }
+        });
+
+        const request = { model: this.#model, systemInstruction, tools: tools?.map(({ name }) => name), toolMode, contents };
+        const { text, functionCalls, usage } = this.#cassette
+            ? await this.#cassette.intercept('model', request, perform)
+            : await perform();
+        this.#recordUsage(usage);
+
+        if (!streamed && text) onChunk?.(text);
+        return { text, functionCalls, content: Model.#modelContent(text, functionCalls) };
+    }
+
+    /**
+     * The model message of a turn, as sent back in the following requests
+     * @private
+     */
+    static #modelContent(text, functionCalls) {
+        return {
+            role: 'model',
+            parts: [
+                ...(text ? [{ text }] : []),
+                ...functionCalls.map(({ thoughtSignature, ...functionCall }) => ({
+                    functionCall,
+                    ...(thoughtSignature ? { thoughtSignature } : {})
+                }))
+            ]
+        };
+    }
+
+    /**
+     * Streams the answer as an async iterator of text pieces
+     * @param {string} prompt - Prompt text
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the generation
+     * @returns {AsyncGenerator<string>}
+     * @throws {ModelError} When the request fails after its retries or the answer is withheld
+     * @example
+     * for await (const piece of model.streamContent('Hello')) process.stdout.write(piece);
+     */
+    async* streamContent(prompt, options = {}) {
+        // Cassettes store whole answers, so recorded and replayed calls yield a single piece
+        if (this.#cassette) {
+            yield await this.generateContent(prompt, options);
+            return;
+        }
+
+        // Pieces are queued as the generation reports them and handed out as they are asked for
+        const pieces = [];
+        let wake;
+        let done = false;
+        let failure;
+        this.#generate([prompt], {}, {
+            signal: options.signal,
+            onChunk: (piece) => {
+                pieces.push(piece);
+                wake?.();
+            }
+        }).then(({ usage }) => {
+            this.#recordUsage(usage);
+        }, error => {
+            failure = error;
+        }).finally(() => {
+            done = true;
+            wake?.();
+        });
+
+        while (pieces.length > 0 || !done) {
+            if (pieces.length > 0) {
+                yield pieces.shift();
+            } else {
+                await new Promise(resolve => {
+                    wake = resolve;
+                });
+            }
+        }
+        if (failure) throw failure;
+    }
+
+    /**
+     * Counts the tokens of a text with the provider's tokenizer,
+     * falling back to an estimate when counting fails
+     * @param {string} text - Text to measure
+     * @returns {Promise<number>}
+     */
+    async countTokens(text) {
+        const request = { model: this.#model, contents: [text] };
+        const perform = () => this.#provider.countTokens(request);
+
+        try {
+            return this.#cassette
+                ? await this.#cassette.intercept('tokens', request, perform)
+                : await perform();
         } catch (error) {
-            console.error('🚨 Error generating content:', error.message);
-            throw new Error(`AI content generation failed: ${error.message}`);
+            return estimateTokens(text);
         }
     }
 
@@ -89,6 +499,18 @@ class Model {
         return this.#model;
     }
 
+    get provider() {
+        return this.#provider.name;
+    }
+
+    /**
+     * Whether `generateTurn` can offer tools: the provider supports them and function calling is on
+     * @returns {boolean}
+     */
+    get supportsTools() {
+        return this.#functionCalling && this.#provider.supportsTools;
+    }
+
     get config() {
         return { ...this.#generationConfig };
     }
@@ -0,0 +1,622 @@
+import chalk, { Chalk } from 'chalk';
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+const WIDE_CHAR = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u2705\u274C\u2B50\u{1F300}-\u{1F64F}\u{1F680}-\u{1F6FF}\u{1F900}-\u{1F9FF}\u{20000}-\u{3FFFD}]/u;
+const ZERO_WIDTH = /[\p{M}\u200B-\u200F\uFE0F]/u;
+
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(.*)$/;
+const QUOTE = /^ {0,3}>\s?/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Code spans, strong, strikethrough, emphasis, links, autolinks and backslash escapes
+const INLINE = new RegExp([
+  /(`+)(.+?)\1(?!`)/,
+  /\*\*(?=\S)(.+?)(?<=\S)\*\*/,
+  /(?<!\w)__(?=\S)(.+?)(?<=\S)__(?!\w)/,
+  /~~(?=\S)(.+?)(?<=\S)~~/,
+  /\*(?=\S)(.+?)(?<=\S)\*/,
+  /(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/,
+  /\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/,
+  /<(https?:\/\/[^>\s]+)>/,
+  /\\([\\`*_{}[\]()#+\-.!|~<>])/
+].map(pattern => pattern.source).join('|'), 'g');
+
+const SQL_KEYWORDS = new Set(('select from where and or not in is null as join left right inner outer full cross lateral on using '
+  + 'group by order having limit offset fetch first next rows only union intersect except all distinct insert into values '
+  + 'update set delete create table view materialized index drop alter add column primary key foreign references with '
+  + 'recursive case when then else end asc desc nulls between like ilike similar exists any returning over partition '
+  + 'window filter true false cast interval explain analyze begin commit rollback show describe pragma').split(' '));
+
+const JS_KEYWORDS = new Set(('const let var function return if else for while do break continue new this class extends '
+  + 'import export from default async await try catch finally throw typeof instanceof in of null undefined true false '
+  + 'switch case yield delete void').split(' '));
+
+// Comments, strings, numbers and words per language family
+const HIGHLIGHTERS = {
+  sql: {
+    pattern: /(--.*$|\/\*.*?\*\/)|('(?:[^']|'')*'?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][\w$]*)/g,
+    keywords: SQL_KEYWORDS,
+    caseInsensitive: true
+  },
+  js: {
+    pattern: /(\/\/.*$|\/\*.*?\*\/)|('(?:\\.|[^'\\])*'?|"(?:\\.|[^"\\])*"?|`(?:\\.|[^`\\])*`?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g,
+    keywords: JS_KEYWORDS,
+    caseInsensitive: false
+  }
+};
+
+const LANGUAGES = {
+  sql: 'sql', postgres: 'sql', postgresql: 'sql', psql: 'sql', mysql: 'sql', sqlite: 'sql',
+  javascript: 'js', js: 'js', mongodb: 'js', mongo: 'js', mongosh: 'js', json: 'js', typescript: 'js', ts: 'js'
+};
+
+const SYMBOLS = {
+  fancy: {
+    bullets: ['•', '◦', '▪'],
+    quote: '│ ',
+    rule: '─',
+    box: { top: ['┌', '┬', '┐'], middle: ['├', '┼', '┤'], bottom: ['└', '┴', '┘'], horizontal: '─', vertical: '│' }
+  },
+  plain: {
+    bullets: ['-', '-', '-'],
+    quote: '> ',
+    rule: '-',
+    box: { top: ['+', '+', '+'], middle: ['+', '+', '+'], bottom: ['+', '+', '+'], horizontal: '-', vertical: '|' }
+  }
+};
+
+const HEADING_STYLES = [['blue', 'bold'], ['cyan', 'bold'], ['green', 'bold'], ['bold'], ['bold'], ['bold']];
+
+const charWidth = (char) => {
+  if (ZERO_WIDTH.test(char)) return 0;
+  return WIDE_CHAR.test(char) ? 2 : 1;
+};
+
+/**
+ * Number of terminal columns a string occupies, ignoring ANSI styles
+ * @param {string} text - Possibly styled text
+ * @returns {number}
+ */
+export const visibleWidth = (text) => {
+  let width = 0;
+  for (const char of text.replace(ANSI_PATTERN, '')) {
+    width += charWidth(char);
+  }
+  return width;
+};
+
+/**
+ * Splits a table row on unescaped pipes outside code spans
+ */
+const splitRow = (line) => {
+  const cells = [''];
+  let inCode = false;
+  const row = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && row[i + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      i++;
+    } else if (char === '|' && !inCode) {
+      cells.push('');
+    } else {
+      if (char === '`') inCode = !inCode;
+      cells[cells.length - 1] += char;
+    }
+  }
+  return cells.map(cell => cell.trim());
+};
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+/**
+ * Markdown Renderer
+ * Renders model answers for the terminal: markdown is parsed into blocks and
+ * inline spans, paragraphs are word-wrapped to the terminal width, GFM tables
+ * are drawn with box characters and SQL/JavaScript code is highlighted.
+ * When the output is not a TTY the same layout is produced as plain text.
+ */
+class MarkdownRenderer {
+  #output;
+  #width;
+  #plain;
+  #chalk;
+  #symbols;
+
+  /**
+   * @param {object} [options]
+   * @param {NodeJS.WriteStream} [options.output=process.stdout] - Terminal the text is meant for
+   * @param {number} [options.width] - Wrap width, defaults to the terminal width (unlimited when not a TTY)
+   * @param {boolean} [options.plain] - No colors or box characters, defaults to true when output is not a TTY
+   */
+  constructor(options = {}) {
+    const {
+      output = process.stdout,
+      width,
+      plain = !output.isTTY
+    } = options;
+
+    this.#output = output;
+    this.#width = width;
+    this.#plain = plain;
+    this.#chalk = plain ? new Chalk({ level: 0 }) : chalk;
+    this.#symbols = plain ? SYMBOLS.plain : SYMBOLS.fancy;
+  }
+
+  /**
+   * Current wrap width; follows terminal resizes
+   * @returns {number}
+   */
+  get width() {
+    if (this.#width !== undefined) return this.#width;
+    return this.#plain ? Infinity : Math.max(this.#output.columns ?? 80, 20);
+  }
+
+  get plain() {
+    return this.#plain;
+  }
+
+  /**
+   * Renders a markdown document
+   * @param {string} markdown - Markdown text
+   * @returns {string} Terminal text without a trailing newline
+   */
+  render(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    return this.#renderBlocks(this.#parseBlocks(lines), this.width).join('\n');
+  }
+
+  /**
+   * Highlights one line of code
+   * @param {string} line - Source line
+   * @param {string} [language] - Fence language, e.g. sql or javascript; a `:source` suffix is ignored
+   * @returns {string}
+   */
+  highlight(line, language = '') {
+    const highlighter = HIGHLIGHTERS[LANGUAGES[language.toLowerCase().split(':')[0]]];
+    if (!highlighter || this.#plain) return line;
+
+    const { pattern, keywords, caseInsensitive } = highlighter;
+    const c = this.#chalk;
+
+    return line.replace(pattern, (match, comment, string, number, word, offset) => {
+      if (comment) return c.gray(comment);
+      if (string) return c.green(string);
+      if (number) return c.yellow(number);
+      if (keywords.has(caseInsensitive ? word.toLowerCase() : word)) return c.magenta(word);
+      // Function and method calls
+      if (/^\s*\(/.test(line.slice(offset + word.length))) return c.cyan(word);
+      return word;
+    });
+  }
+
+  /**
+   * Draws a table sized to the wrap width; cells wrap inside their column
+   * @param {string[]} header - Column titles
+   * @param {Array<string[]>} rows - Cell texts; a cell may also be a list of `{text, styles}` spans
+   * @param {object} [options]
+   * @param {string[]} [options.align] - left, right or center per column
+   * @param {boolean} [options.inline=true] - Parse cells as inline markdown
+   * @param {number} [options.width] - Overrides the wrap width
+   * @returns {string[]} Rendered lines
+   */
+  table(header, rows, options = {}) {
+    const { align = [], inline = true, width = this.width } = options;
+    const { box } = this.#symbols;
+    const c = this.#chalk;
+
+    const columns = Math.max(header.length, ...rows.map(row => row.length));
+    const toSpans = (cell = '') => {
+      if (Array.isArray(cell)) return cell;
+      return inline ? this.#inline(String(cell)) : [{ text: String(cell), styles: [] }];
+    };
+    const headerSpans = Array.from({ length: columns }, (_, index) => toSpans(header[index]));
+    const rowSpans = rows.map(row => Array.from({ length: columns }, (_, index) => toSpans(row[index])));
+
+    // Natural column widths, then shrink the widest columns until the table fits
+    const widths = Array(columns).fill(1);
+    for (const row of [headerSpans, ...rowSpans]) {
+      row.forEach((spans, index) => {
+        for (const line of this.#layout(spans, Infinity)) {
+          widths[index] = Math.max(widths[index], visibleWidth(line));
+        }
+      });
+    }
+
+    const available = width - (columns * 3 + 1);
+    let total = widths.reduce((sum, columnWidth) => sum + columnWidth, 0);
+    while (total > available) {
+      const widest = widths.indexOf(Math.max(...widths));
+      if (widths[widest] <= 3) break;
+      const next = Math.max(...widths.filter((_, index) => index !== widest), 3);
+      const cut = Math.min(Math.max(widths[widest] - next, 1), total - available, widths[widest] - 3);
+      widths[widest] -= cut;
+      total -= cut;
+    }
+
+    const border = ([left, middle, right]) =>
+      c.gray(left + widths.map(columnWidth => box.horizontal.repeat(columnWidth + 2)).join(middle) + right);
+
+    const renderRow = (cells, base = []) => {
+      const cellLines = cells.map((spans, index) => this.#layout(spans, widths[index], base));
+      const height = Math.max(...cellLines.map(lines => lines.length));
+      const lines = [];
+      for (let lineIndex = 0; lineIndex < height; lineIndex++) {
+        const parts = cellLines.map((cellLine, index) => {
+          const text = cellLine[lineIndex] ?? '';
+          const padding = widths[index] - visibleWidth(text);
+          switch (align[index]) {
+            case 'right':
+              return ' '.repeat(padding) + text;
+            case 'center':
+              return ' '.repeat(Math.floor(padding / 2)) + text + ' '.repeat(Math.ceil(padding / 2));
+            default:
+              return text + ' '.repeat(padding);
+          }
+        });
+        const separator = c.gray(box.vertical);
+        lines.push(`${separator} ${parts.join(` ${separator} `)} ${separator}`);
+      }
+      return lines;
+    };
+
+    return [
+      border(box.top),
+      ...renderRow(headerSpans, ['bold']),
+      border(box.middle),
+      ...rowSpans.flatMap(row => renderRow(row)),
+      border(box.bottom)
+    ];
+  }
+
+  /**
+   * Splits lines into block nodes
+   * @private
+   */
+  #parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      let match;
+
+      if (!line.trim()) {
+        i++;
+      } else if ((match = line.match(FENCE))) {
+        const [, indent, marker, language] = match;
+        const code = [];
+        i++;
+        while (i < lines.length && !MarkdownRenderer.#closesFence(lines[i], marker)) {
+          code.push(lines[i].slice(Math.min(indent.length, indentOf(lines[i]))));
+          i++;
+        }
+        i++;
+        blocks.push({ type: 'code', language: language.toLowerCase(), lines: code });
+      } else if ((match = line.match(HEADING))) {
+        blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+        i++;
+      } else if (RULE.test(line)) {
+        blocks.push({ type: 'rule' });
+        i++;
+      } else if (MarkdownRenderer.#startsTable(lines, i)) {
+        const header = splitRow(line);
+        const align = splitRow(lines[i + 1]).map(cell => {
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          return cell.endsWith(':') ? 'right' : 'left';
+        });
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+          rows.push(splitRow(lines[i]));
+          i++;
+        }
+        blocks.push({ type: 'table', header, align, rows });
+      } else if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].replace(QUOTE, ''));
+          i++;
+        }
+        blocks.push({ type: 'quote', blocks: this.#parseBlocks(quoted) });
+      } else if (LIST_ITEM.test(line)) {
+        const { block, next } = this.#parseList(lines, i);
+        blocks.push(block);
+        i = next;
+      } else {
+        const paragraph = [line.trimStart()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !MarkdownRenderer.#startsBlock(lines, i)) {
+          paragraph.push(lines[i].trimStart());
+          i++;
+        }
+        blocks.push({ type: 'paragraph', text: MarkdownRenderer.#joinLines(paragraph) });
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Collects a list and the lines belonging to each item; item bodies are parsed
+   * as blocks so nested lists and code work
+   * @private
+   */
+  #parseList(lines, start) {
+    const [, indent, marker] = lines[start].match(LIST_ITEM);
+    const baseIndent = indent.length;
+    const ordered = /\d/.test(marker);
+    const items = [];
+    let current = null;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const lineIndent = indentOf(line);
+      const item = line.match(LIST_ITEM);
+
+      if (!line.trim()) {
+        // A blank line ends the list unless more items or indented content follow
+        const next = lines.slice(i + 1).find(candidate => candidate.trim());
+        const nextItem = next?.match(LIST_ITEM);
+        const continues = next !== undefined && (indentOf(next) > baseIndent + 1
+          || (nextItem && /\d/.test(nextItem[2]) === ordered && !RULE.test(next)));
+        if (!continues) break;
+        current.lines.push('');
+        i++;
+      } else if (item && lineIndent <= baseIndent + 1 && !RULE.test(line)) {
+        if (lineIndent < baseIndent || /\d/.test(item[2]) !== ordered) break;
+        current = {
+          marker: item[2],
+          contentIndent: lineIndent + item[2].length + item[3].length,
+          lines: [item[4]]
+        };
+        items.push(current);
+        i++;
+      } else if (lineIndent > baseIndent + 1) {
+        current.lines.push(line.slice(Math.min(lineIndent, current.contentIndent)));
+        i++;
+      } else if (lines[i - 1].trim() && !MarkdownRenderer.#startsBlock(lines, i)) {
+        // Lazy continuation of the item's paragraph
+        current.lines.push(line.trim());
+        i++;
+      } else {
+        break;
+      }
+    }
+
+    return {
+      block: {
+        type: 'list',
+        ordered,
+        items: items.map(({ marker: itemMarker, lines: itemLines }) => ({
+          marker: itemMarker,
+          blocks: this.#parseBlocks(itemLines)
+        }))
+      },
+      next: i
+    };
+  }
+
+  static #closesFence(line, marker) {
+    const trimmed = line.trim();
+    return trimmed.startsWith(marker) && new RegExp(`^\\${marker[0]}+$`).test(trimmed);
+  }
+
+  static #startsTable(lines, index) {
+    const next = lines[index + 1];
+    return lines[index].includes('|') && next !== undefined && next.includes('|') && TABLE_DELIMITER.test(next);
+  }
+
+  static #startsBlock(lines, index) {
+    const line = lines[index];
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line)
+      || LIST_ITEM.test(line) || MarkdownRenderer.#startsTable(lines, index);
+  }
+
+  /**
+   * Joins paragraph lines; two trailing spaces or a backslash force a line break
+   * @private
+   */
+  static #joinLines(lines) {
+    return lines.reduce((text, line, index) => {
+      if (index === 0) return line;
+      return /( {2,}|\\)$/.test(lines[index - 1])
+        ? `${text.replace(/\\$/, '').trimEnd()}\n${line.trimEnd()}`
+        : `${text.trimEnd()} ${line.trimEnd()}`;
+    }, '');
+  }
+
+  #renderBlocks(blocks, width, options = {}) {
+    const { tight = false, depth = 0 } = options;
+    const lines = [];
+    blocks.forEach((block, index) => {
+      if (index > 0 && !tight) lines.push('');
+      lines.push(...this.#renderBlock(block, width, depth));
+    });
+    return lines;
+  }
+
+  #renderBlock(block, width, depth) {
+    const c = this.#chalk;
+    const symbols = this.#symbols;
+
+    switch (block.type) {
+      case 'heading':
+        return this.#layout(this.#inline(block.text), width, HEADING_STYLES[block.level - 1]);
+      case 'paragraph':
+        return this.#layout(this.#inline(block.text), width);
+      case 'rule':
+        return [c.gray(symbols.rule.repeat(Math.min(width, 80)))];
+      case 'code':
+        return [
+          c.gray('```' + block.language),
+          ...block.lines.map(line => this.highlight(line, block.language)),
+          c.gray('```')
+        ];
+      case 'quote':
+        return this.#renderBlocks(block.blocks, width - 2, { depth })
+          .map(line => c.gray(symbols.quote) + (this.#plain ? line : c.italic(line)));
+      case 'table':
+        return this.table(block.header, block.rows, { align: block.align, width });
+      case 'list':
+        return this.#renderList(block, width, depth);
+      default:
+        return [];
+    }
+  }
+
+  #renderList(block, width, depth) {
+    const c = this.#chalk;
+    const indent = depth === 0 ? '  ' : '';
+    const markers = block.items.map(({ marker }) =>
+      block.ordered ? marker : this.#symbols.bullets[depth % this.#symbols.bullets.length]);
+    const markerWidth = Math.max(...markers.map(marker => visibleWidth(marker)));
+
+    return block.items.flatMap((item, index) => {
+      const prefix = indent + markers[index].padStart(markerWidth) + ' ';
+      const prefixWidth = visibleWidth(prefix);
+      const body = this.#renderBlocks(item.blocks, width - prefixWidth, { tight: true, depth: depth + 1 });
+      if (body.length === 0) body.push('');
+      return body.map((line, lineIndex) =>
+        (lineIndex === 0 ? c.yellow(prefix) : ' '.repeat(prefixWidth)) + line);
+    });
+  }
+
+  /**
+   * Parses inline markdown into styled spans
+   * @param {string} text - Inline markdown
+   * @param {string[]} [styles] - chalk style names inherited from the parent span
+   * @returns {Array<{text: string, styles: string[]}>}
+   * @private
+   */
+  #inline(text, styles = []) {
+    const spans = [];
+    let last = 0;
+
+    for (const match of text.matchAll(INLINE)) {
+      if (match.index > last) spans.push({ text: text.slice(last, match.index), styles });
+      const [, , code, strong, underscoreStrong, strike, emphasis, underscoreEmphasis, label, url, autolink, escaped] = match;
+
+      if (code !== undefined) {
+        spans.push({ text: code.replace(/^ (.+) $/, '$1'), styles: [...styles, 'cyan'] });
+      } else if ((strong ?? underscoreStrong) !== undefined) {
+        spans.push(...this.#inline(strong ?? underscoreStrong, [...styles, 'bold']));
+      } else if (strike !== undefined) {
+        spans.push(...this.#inline(strike, [...styles, 'strikethrough']));
+      } else if ((emphasis ?? underscoreEmphasis) !== undefined) {
+        spans.push(...this.#inline(emphasis ?? underscoreEmphasis, [...styles, 'italic']));
+      } else if (label !== undefined) {
+        spans.push(...this.#inline(label, [...styles, 'blue', 'underline']));
+        if (url !== label) spans.push({ text: ` (${url})`, styles: [...styles, 'gray'] });
+      } else if (autolink !== undefined) {
+        spans.push({ text: autolink, styles: [...styles, 'blue', 'underline'] });
+      } else {
+        spans.push({ text: escaped, styles });
+      }
+      last = match.index + match[0].length;
+    }
+
+    if (last < text.length) spans.push({ text: text.slice(last), styles });
+    return spans;
+  }
+
+  /**
+   * Word-wraps styled spans; every line is styled on its own so colors never
+   * bleed into prefixes such as list markers or table borders
+   * @param {Array<{text: string, styles: string[]}>} spans - Inline spans
+   * @param {number} width - Maximum line width
+   * @param {string[]} [base] - Styles applied to the whole text
+   * @returns {string[]}
+   * @private
+   */
+  #layout(spans, width, base = []) {
+    const tokens = [];
+    let word = null;
+    for (const { text, styles } of spans) {
+      for (const part of text.split(/(\n|[ \t]+)/)) {
+        if (!part) continue;
+        if (part === '\n') {
+          tokens.push('break');
+          word = null;
+        } else if (/^[ \t]+$/.test(part)) {
+          word = null;
+        } else {
+          if (!word) {
+            word = { pieces: [], width: 0 };
+            tokens.push(word);
+          }
+          word.pieces.push({ text: part, styles: [...base, ...styles] });
+          word.width += visibleWidth(part);
+        }
+      }
+    }
+
+    const lines = [];
+    let current = [];
+    let currentWidth = 0;
+    const flush = () => {
+      lines.push(this.#styleLine(current));
+      current = [];
+      currentWidth = 0;
+    };
+
+    for (const token of tokens) {
+      if (token === 'break') {
+        flush();
+        continue;
+      }
+      if (currentWidth > 0) {
+        if (currentWidth + 1 + token.width > width && token.width <= width) {
+          flush();
+        } else {
+          current.push({ text: ' ', styles: base });
+          currentWidth++;
+        }
+      }
+      if (currentWidth + token.width <= width) {
+        current.push(...token.pieces);
+        currentWidth += token.width;
+        continue;
+      }
+      // Words longer than a line are broken between characters
+      for (const piece of token.pieces) {
+        for (const char of piece.text) {
+          const columns = charWidth(char);
+          if (currentWidth > 0 && currentWidth + columns > width) flush();
+          current.push({ text: char, styles: piece.styles });
+          currentWidth += columns;
+        }
+      }
+    }
+
+    if (current.length > 0 || lines.length === 0) flush();
+    return lines;
+  }
+
+  #styleLine(pieces) {
+    let line = '';
+    let run = null;
+    const close = () => {
+      if (run) line += run.styles.reduce((style, name) => style[name], this.#chalk)(run.text);
+    };
+
+    // Adjacent pieces with the same styles are styled in one go
+    for (const piece of pieces) {
+      if (run && run.styles.join() === piece.styles.join()) {
+        run.text += piece.text;
+      } else {
+        close();
+        run = { text: piece.text, styles: piece.styles };
+      }
+    }
+    close();
+    return line;
+  }
+}
+
+export default MarkdownRenderer;
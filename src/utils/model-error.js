@@ -0,0 +1,136 @@
+/**
+ * Kinds of model failures: whether a retry may succeed and what the user can do about it
+ */
+export const MODEL_ERRORS = Object.freeze({
+  RATE_LIMITED: { retryable: true, hint: 'Too many requests were sent to the model; wait a moment before asking again' },
+  QUOTA_EXCEEDED: { retryable: false, hint: 'The quota of the project or API key is used up; check its quota and billing' },
+  SAFETY_BLOCKED: { retryable: false, hint: 'The safety filters blocked the prompt or the answer; rephrase the question' },
+  MAX_TOKENS: { retryable: false, hint: 'Raise maxOutputTokens or ask for a shorter answer' },
+  INVALID_ARGUMENT: { retryable: false, hint: 'The request was rejected as invalid; check the model name and generation settings' },
+  AUTHENTICATION: { retryable: false, hint: 'Check the credentials (GEMINI_API_KEY, OPENAI_API_KEY or application default credentials) and their permissions' },
+  MALFORMED_RESPONSE: { retryable: true, hint: 'The model returned a function call that could not be parsed' },
+  SERVER: { retryable: true, hint: 'The model service failed temporarily; try again later' },
+  NETWORK: { retryable: true, hint: 'Check the network connection and the endpoint URL' },
+  TIMEOUT: { retryable: true, hint: 'The model stopped sending data; raise MODEL_TIMEOUT_MS for slow models' },
+  UNKNOWN: { retryable: false, hint: null }
+});
+
+// Finish reasons that mean the answer was withheld by a filter
+export const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY']);
+
+const NETWORK_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * The JSON error body inside a message, as the Gemini SDK reports HTTP errors
+ * (`{"error": {"code", "message", "status", "details"}}`, possibly after a prefix)
+ */
+const errorBodyOf = (message = '') => {
+  const start = message.indexOf('{');
+  if (start === -1) return null;
+  try {
+    const body = JSON.parse(message.slice(start));
+    return body?.error && typeof body.error === 'object' ? body.error : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Delay requested by a google.rpc.RetryInfo detail, e.g. `"retryDelay": "17s"`
+ */
+const retryDelayOf = (body) => {
+  const delay = body?.details?.find(detail => detail?.retryDelay)?.retryDelay;
+  const seconds = Number.parseFloat(delay);
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+};
+
+const codeOfStatus = (status, text) => {
+  if (status === 429 || /RESOURCE_EXHAUSTED/.test(text)) {
+    // Daily and billing quotas do not recover within a retry; per-minute limits do
+    return /PerDay|per day|billing account|insufficient_quota/i.test(text) ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED';
+  }
+  if (status === 401 || status === 403 || /UNAUTHENTICATED|PERMISSION_DENIED/.test(text)) return 'AUTHENTICATION';
+  if (status === 408 || status === 504 || /DEADLINE_EXCEEDED/.test(text)) return 'TIMEOUT';
+  if (status >= 500) return 'SERVER';
+  if (status >= 400) return 'INVALID_ARGUMENT';
+  return null;
+};
+
+const isNetworkError = (error) => NETWORK_CODES.has(error.code) || NETWORK_CODES.has(error.cause?.code)
+  || (error.name === 'TypeError' && /fetch failed|terminated|other side closed/i.test(error.message))
+  || /socket hang up|Incomplete JSON segment/i.test(error.message);
+
+/**
+ * Error raised when a model call fails, classified so the caller knows whether
+ * to retry and the user gets a message that says what happened
+ */
+export class ModelError extends Error {
+  /**
+   * @param {string} message - What went wrong, written for the user
+   * @param {object} [details]
+   * @param {string} [details.code] - One of MODEL_ERRORS, defaults to UNKNOWN
+   * @param {number} [details.status] - HTTP status of the failed request
+   * @param {boolean} [details.retryable] - Defaults to what MODEL_ERRORS says about the code
+   * @param {number} [details.retryAfterMs] - Delay the service asked for before retrying
+   * @param {string} [details.finishReason] - Finish reason of a withheld or truncated answer
+   * @param {number} [details.attempts] - Requests made before giving up
+   * @param {Error} [details.cause] - The provider's error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'ModelError';
+    this.code = details.code ?? 'UNKNOWN';
+    this.status = details.status ?? null;
+    this.retryable = details.retryable ?? MODEL_ERRORS[this.code]?.retryable ?? false;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.finishReason = details.finishReason ?? null;
+    this.attempts = details.attempts ?? 1;
+  }
+
+  /**
+   * Classifies a provider error; AbortErrors and ModelErrors are returned as they are
+   * @param {Error} error - Error thrown by the provider or the SDK
+   * @returns {Error}
+   */
+  static from(error) {
+    if (error instanceof ModelError || error.name === 'AbortError') return error;
+
+    const body = errorBodyOf(error.message);
+    const status = Number(error.status ?? body?.code) || null;
+    const text = `${body?.status ?? ''} ${error.message}`;
+    const code = codeOfStatus(status ?? 0, text) ?? (isNetworkError(error) ? 'NETWORK' : 'UNKNOWN');
+
+    const reason = body?.message ?? error.message;
+    return new ModelError(status ? `Model request failed with HTTP ${status}: ${reason}` : `Model request failed: ${reason}`, {
+      code,
+      status,
+      retryAfterMs: error.retryAfterMs ?? retryDelayOf(body),
+      cause: error
+    });
+  }
+
+  /**
+   * What the user can do about the error
+   * @returns {string|null}
+   */
+  get hint() {
+    return MODEL_ERRORS[this.code]?.hint ?? null;
+  }
+
+  /**
+   * The details the error was created with, enough to rebuild it
+   * @returns {object}
+   */
+  get details() {
+    const { code, status, retryable, retryAfterMs, finishReason, attempts } = this;
+    return { code, status, retryable, retryAfterMs, finishReason, attempts };
+  }
+
+  toJSON() {
+    const details = { code: this.code, message: this.message, ...this.details };
+    return Object.fromEntries(Object.entries(details).filter(([, value]) => value !== null && value !== undefined));
+  }
+}
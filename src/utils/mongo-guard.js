@@ -0,0 +1,405 @@
+/**
+ * mongosh Script Guard
+ * Statically inspects model-generated mongosh scripts (operations called,
+ * target databases and collections) and decides per database whether they
+ * may run, need confirmation, or must be rejected.
+ */
+
+/**
+ * Operation categories recognised by the guard
+ */
+export const OPERATION_CATEGORIES = Object.freeze({
+  READ: 'read',
+  WRITE: 'write',
+  ADMIN: 'admin',
+  UNSAFE: 'unsafe'
+});
+
+const { READ, WRITE, ADMIN, UNSAFE } = OPERATION_CATEGORIES;
+
+/**
+ * Policy actions, ordered from least to most restrictive
+ */
+export const POLICY_ACTIONS = Object.freeze(['allow', 'confirm', 'reject']);
+
+/**
+ * Named policy modes that can be assigned to a database
+ */
+export const POLICY_MODES = Object.freeze({
+  'read-only': { read: 'allow', write: 'reject', admin: 'reject', unsafe: 'reject' },
+  'confirm-writes': { read: 'allow', write: 'confirm', admin: 'reject', unsafe: 'reject' },
+  'read-write': { read: 'allow', write: 'allow', admin: 'confirm', unsafe: 'reject' }
+});
+
+const OPERATION_NAMES = {
+  [READ]: [
+    'find', 'findOne', 'aggregate', 'count', 'countDocuments', 'estimatedDocumentCount',
+    'distinct', 'getCollectionNames', 'getCollectionInfos', 'listCollections', 'stats',
+    'dataSize', 'storageSize', 'totalIndexSize', 'getIndexes', 'explain', 'limit', 'skip',
+    'sort', 'projection', 'project', 'toArray', 'pretty', 'itcount', 'hasNext', 'next',
+    'getName', 'getSiblingDB', 'getDB', 'getCollection', 'getMongo', 'hello', 'isMaster',
+    'serverStatus', 'version', 'hostInfo', 'getUsers', 'getRoles'
+  ],
+  [WRITE]: [
+    'insert', 'insertOne', 'insertMany', 'update', 'updateOne', 'updateMany', 'replaceOne',
+    'delete', 'deleteOne', 'deleteMany', 'remove', 'save', 'bulkWrite', 'findAndModify',
+    'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'initializeOrderedBulkOp',
+    'initializeUnorderedBulkOp'
+  ],
+  [ADMIN]: [
+    'drop', 'dropDatabase', 'dropIndex', 'dropIndexes', 'createCollection', 'createView',
+    'createIndex', 'createIndexes', 'renameCollection', 'runCommand', 'adminCommand',
+    'createUser', 'updateUser', 'dropUser', 'dropAllUsers', 'grantRolesToUser',
+    'revokeRolesFromUser', 'createRole', 'dropRole', 'shutdownServer', 'killOp', 'fsyncLock',
+    'fsyncUnlock', 'setProfilingLevel', 'enableSharding', 'shardCollection', 'compact',
+    'repairDatabase', 'cloneDatabase', 'copyDatabase', 'setLogLevel'
+  ],
+  [UNSAFE]: ['load', 'require', 'eval', 'Function', 'runProgram', 'run', 'quit', 'exit', 'sleep']
+};
+
+const OPERATION_CATEGORY_BY_NAME = Object.fromEntries(
+  Object.entries(OPERATION_NAMES).flatMap(([category, names]) => names.map(name => [name, category]))
+);
+
+// Methods that are called on `db` itself and therefore are not collection names
+const DB_MEMBERS = new Set([...Object.keys(OPERATION_CATEGORY_BY_NAME), 'getCollectionNames', 'getProfilingStatus']);
+
+const UNSAFE_GLOBALS = /\b(process|child_process|fs|globalThis)\b/;
+
+// `db`, a database or a collection followed by member accesses (plain or `?.`) and
+// a bracket; the bracket's key is captured when it is a string literal
+const COMPUTED_MEMBER = /\b(?:db|(?:getSiblingDB|getDB|getCollection)\s*\([^)]*\))(?:\s*(?:\??\.\s*[A-Za-z_$][\w$]*|(?:\?\.)?\s*\[\s*__STR\d+__\s*\]))*\s*(?:\?\.)?\s*\[\s*(?:__STR(\d+)__\s*\])?/g;
+
+// What may follow a name to invoke it: a call (optionally `?.`), `.call`/`.apply`/`.bind`,
+// or a tagged template (template literals are replaced by placeholders)
+const INVOCATION = String.raw`\s*(?:\?\.\s*)?(?:\(|__STR\d+__|\.\s*(?:call|apply|bind)\b)`;
+
+// Names that are dangerous as soon as they are referenced, since an alias can be called later
+const UNSAFE_REFERENCES = new Set(['load', 'require', 'eval', 'Function', 'runProgram']);
+
+/**
+ * Error raised when a script is rejected by the guard or by the user
+ */
+export class MongoGuardError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = 'MongoGuardError';
+    this.code = 'MONGO_GUARD_BLOCKED';
+    this.violations = violations;
+  }
+
+  /**
+   * Serializable form used for execution entries in the conversation history
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      violations: this.violations
+    };
+  }
+}
+
+/**
+ * Replaces comments with whitespace and string literals with numbered
+ * placeholders so operation and identifier matching only sees code; `flat` is
+ * the script on one line, without line comments.
+ * @param {string} script - mongosh script
+ * @returns {{code: string, literals: string[], flat: string}}
+ */
+const sanitizeScript = (script) => {
+  const literals = [];
+  let code = '';
+  let flat = '';
+  let i = 0;
+
+  while (i < script.length) {
+    const char = script[i];
+    const next = script[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = script.indexOf('\n', i);
+      i = end === -1 ? script.length : end;
+      code += ' ';
+      flat += /\s$/.test(flat) ? '' : ' ';
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = script.indexOf('*/', i + 2);
+      const stop = end === -1 ? script.length : end + 2;
+      code += ' ';
+      flat += script.slice(i, stop).replace(/\s+/g, ' ');
+      i = stop;
+      continue;
+    }
+
+    if (char === '\'' || char === '"' || char === '`') {
+      let j = i + 1;
+      let value = '';
+      while (j < script.length && script[j] !== char) {
+        if (script[j] === '\\') {
+          value += script[j + 1] ?? '';
+          j += 2;
+        } else {
+          value += script[j];
+          j++;
+        }
+      }
+      // Template literals with substitutions are not static
+      const dynamic = char === '`' && value.includes('${');
+      literals.push(dynamic ? null : value);
+      code += ` __STR${literals.length - 1}__ `;
+      flat += script.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    code += char;
+    flat += /\s/.test(char) ? (/\s$/.test(flat) ? '' : ' ') : char;
+    i++;
+  }
+
+  return { code, literals, flat: flat.trim() };
+};
+
+/**
+ * Returns the database name of a mongodb:// connection string
+ * @param {string} connectionString - MongoDB URI
+ * @returns {string} Database name, `test` when none is given (mongosh default)
+ */
+const defaultDatabaseOf = (connectionString = '') => {
+  const match = connectionString.match(/^mongodb(?:\+srv)?:\/\/[^/]+\/([^?]+)/);
+  return match ? decodeURIComponent(match[1]) : 'test';
+};
+
+/**
+ * mongosh Guard
+ * Applies a per-database policy to the operations a script performs.
+ */
+class MongoGuard {
+  #defaultMode;
+  #databases;
+  #defaultDatabase;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.default='confirm-writes'] - Mode for databases without an entry
+   * @param {Object<string, string>} [options.databases={}] - Mode per database name, e.g. `{ monitoring: 'read-only' }`
+   * @param {string} [options.connectionString] - Used to find the database `db` refers to
+   */
+  constructor(options = {}) {
+    const {
+      default: defaultMode = 'confirm-writes',
+      databases = {},
+      connectionString = ''
+    } = options;
+
+    for (const mode of [defaultMode, ...Object.values(databases)]) {
+      if (!POLICY_MODES[mode]) {
+        throw new Error(`❌ Unknown MongoDB policy mode: ${mode}. Expected one of ${Object.keys(POLICY_MODES).join(', ')}`);
+      }
+    }
+
+    this.#defaultMode = defaultMode;
+    this.#databases = { ...databases };
+    this.#defaultDatabase = defaultDatabaseOf(connectionString);
+  }
+
+  /**
+   * Lists the operations, databases and collections a script refers to
+   * @param {string} script - mongosh script
+   * @returns {{operations: Array<{name: string, category: string}>, databases: string[], collections: string[], dynamicTarget: boolean}}
+   */
+  inspect(script) {
+    const { code, literals } = sanitizeScript(script);
+    const literal = (index) => literals[Number(index)];
+
+    const operations = new Map();
+    const addOperation = (name, category) => {
+      if (category) operations.set(name, { name, category });
+    };
+
+    // A write or admin operation is classified as soon as it is named, called or not
+    // (`const f = db.users.deleteMany; f.call(db.users)`); reads only when invoked
+    const addMember = (name, invoked) => {
+      const category = OPERATION_CATEGORY_BY_NAME[name];
+      if (invoked || category === WRITE || category === ADMIN) addOperation(name, category);
+    };
+    for (const [, name, invocation] of code.matchAll(new RegExp(String.raw`\??\.\s*([A-Za-z_$][\w$]*)(${INVOCATION})?`, 'g'))) {
+      addMember(name, invocation !== undefined);
+    }
+    // Bracket keys that are string literals (`db.users["deleteMany"]({})`) are the same members
+    for (const [, index, invocation] of code.matchAll(new RegExp(String.raw`\[\s*__STR(\d+)__\s*\](${INVOCATION})?`, 'g'))) {
+      const name = literal(index);
+      if (name === null) addOperation('computed member', UNSAFE);
+      else addMember(name, invocation !== undefined);
+    }
+    for (const [, name, invocation] of code.matchAll(new RegExp(String.raw`(?:^|[^.\w$])(${OPERATION_NAMES[UNSAFE].join('|')})\b(${INVOCATION})?`, 'g'))) {
+      if (invocation !== undefined || UNSAFE_REFERENCES.has(name)) addOperation(name, UNSAFE);
+    }
+    // Any other key on `db` or a collection (`db.users[f]()`) can name any operation
+    for (const [, index] of code.matchAll(COMPUTED_MEMBER)) {
+      if (index === undefined || literal(index) === null) addOperation('computed member', UNSAFE);
+    }
+    if (UNSAFE_GLOBALS.test(code)) {
+      addOperation('globals', UNSAFE);
+    }
+
+    // Operators that run JavaScript on the server
+    const serverScript = /\$(where|function|accumulator)\s*:/.test(code)
+      || literals.some(value => ['$where', '$function', '$accumulator'].includes(value));
+    if (serverScript) {
+      addOperation('$where/$function', UNSAFE);
+    }
+
+    // Aggregation stages that write their output
+    const writesOutput = /\$(out|merge)\s*:/.test(code)
+      || literals.some(value => value === '$out' || value === '$merge');
+    if (writesOutput) {
+      addOperation('$out/$merge', WRITE);
+    }
+
+    let dynamicTarget = false;
+    const databases = new Set();
+    const collections = new Set();
+
+    for (const [, target] of code.matchAll(/\b(?:getSiblingDB|getDB)\s*\(\s*([^)]*?)\s*\)/g)) {
+      const index = target.match(/^__STR(\d+)__$/)?.[1];
+      const name = index !== undefined ? literal(index) : null;
+      if (name) {
+        databases.add(name);
+      } else {
+        dynamicTarget = true;
+      }
+    }
+
+    const useStatements = [...code.matchAll(/(?:^|[\n;])\s*use\s+([\w.-]+)/g)];
+    for (const [, name] of useStatements) {
+      databases.add(name);
+    }
+
+    // Bare `db.` refers to the connection's database unless `use` switched it first
+    if (/(?:^|[^.\w$])db\s*(?:\.\s*(?!getSiblingDB|getMongo)|\[)/.test(code) && useStatements.length === 0) {
+      databases.add(this.#defaultDatabase);
+    }
+
+    for (const [, name] of code.matchAll(/\b(?:db|getSiblingDB\s*\([^)]*\)|getDB\s*\([^)]*\))\s*\??\.\s*([A-Za-z_][\w]*)\s*\??[.[]/g)) {
+      if (!DB_MEMBERS.has(name)) collections.add(name);
+    }
+    for (const [, index] of code.matchAll(/\b(?:db|getSiblingDB\s*\([^)]*\)|getDB\s*\([^)]*\))\s*(?:\?\.)?\s*\[\s*__STR(\d+)__\s*\]\s*\??[.[]/g)) {
+      if (literal(index)) collections.add(literal(index));
+    }
+    for (const [, target] of code.matchAll(/\bgetCollection\s*\(\s*__STR(\d+)__\s*\)/g)) {
+      if (literal(target)) collections.add(literal(target));
+    }
+
+    if (databases.size === 0 && !dynamicTarget) {
+      databases.add(this.#defaultDatabase);
+    }
+
+    return {
+      operations: [...operations.values()],
+      databases: [...databases],
+      collections: [...collections],
+      dynamicTarget
+    };
+  }
+
+  /**
+   * Writes a script on one line: line comments are dropped, since everything
+   * after them would become part of the comment, and line breaks outside
+   * literals become spaces
+   * @param {string} script - mongosh script
+   * @returns {string}
+   */
+  toSingleLine(script) {
+    return sanitizeScript(script).flat;
+  }
+
+  /**
+   * Decides what should happen to a script under the configured policy.
+   * When a script touches several databases the strictest applicable mode wins.
+   * @param {string} script - mongosh script
+   * @returns {{action: string, violations: Array<object>, inspection: object}}
+   */
+  evaluate(script) {
+    const inspection = this.inspect(script);
+    const modes = inspection.databases.map(name => [name, this.modeFor(name)]);
+
+    // A database chosen at runtime cannot be matched to its policy, so use the strictest one
+    if (inspection.dynamicTarget) {
+      modes.push(['<dynamic>', this.#strictestMode()]);
+    }
+
+    const violations = [];
+    for (const { name, category } of inspection.operations) {
+      for (const [database, mode] of modes) {
+        const action = POLICY_MODES[mode][category];
+        if (action !== 'allow') {
+          violations.push({ operation: name, category, database, mode, action });
+        }
+      }
+    }
+
+    const action = violations.reduce(
+      (strictest, { action }) => POLICY_ACTIONS.indexOf(action) > POLICY_ACTIONS.indexOf(strictest) ? action : strictest,
+      'allow'
+    );
+
+    return { action, violations, inspection };
+  }
+
+  /**
+   * Evaluates the script and throws unless it is allowed, asking `confirm`
+   * for operations that require confirmation.
+   * @param {string} script - mongosh script
+   * @param {Function} [confirm] - Async callback receiving the evaluation and resolving to true to proceed
+   * @returns {Promise<object>} The evaluation when the script may run
+   * @throws {MongoGuardError} When the script is rejected or not confirmed
+   */
+  async assert(script, confirm) {
+    const evaluation = this.evaluate(script);
+    const { action, violations } = evaluation;
+    const describe = (items) => items
+      .map(({ operation, category, database, mode }) => `${operation} (${category}) on ${database} [${mode}]`)
+      .join(', ');
+
+    if (action === 'reject') {
+      throw new MongoGuardError(
+        `Blocked by MongoDB policy: ${describe(violations.filter(({ action }) => action === 'reject'))}`,
+        violations
+      );
+    }
+
+    if (action === 'confirm') {
+      const approved = confirm ? await confirm(evaluation) : false;
+      if (!approved) {
+        throw new MongoGuardError(
+          `${confirm ? 'Declined by user' : 'Confirmation required'}: ${describe(violations)}`,
+          violations
+        );
+      }
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Returns the policy mode that applies to a database
+   * @param {string} database - Database name
+   * @returns {string}
+   */
+  modeFor(database) {
+    return this.#databases[database] ?? this.#defaultMode;
+  }
+
+  #strictestMode() {
+    const modes = Object.keys(POLICY_MODES);
+    return [this.#defaultMode, ...Object.values(this.#databases)]
+      .reduce((strictest, mode) => modes.indexOf(mode) < modes.indexOf(strictest) ? mode : strictest);
+  }
+}
+
+export default MongoGuard;
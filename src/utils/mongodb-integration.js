@@ -1,107 +1,687 @@
 import { spawn } from 'child_process';
+import { MongoClient, BSON } from 'mongodb';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
+import MongoGuard from './mongo-guard.js';
+import Cassette from './cassette.js';
+import DataSourceAdapter, { abortError, integerSetting, intercept, QueryError } from './data-source-adapter.js';
 
 dotenv.config();
 
+const { EJSON } = BSON;
+
+/**
+ * Structured operations the driver backend accepts
+ */
+export const MONGODB_OPERATIONS = Object.freeze([
+  'find', 'aggregate', 'countDocuments', 'estimatedDocumentCount', 'distinct', 'listCollections', 'listDatabases'
+]);
+
+/**
+ * Execution backends: the official driver, or a mongosh child process
+ */
+export const MONGODB_BACKENDS = Object.freeze(['driver', 'mongosh']);
+
+const COLLECTION_OPERATIONS = new Set(['find', 'aggregate', 'countDocuments', 'estimatedDocumentCount', 'distinct']);
+
+/**
+ * Error raised when a structured operation is malformed; reported back to the model
+ */
+export class MongoOperationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MongoOperationError';
+    this.code = 'MONGO_INVALID_OPERATION';
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message
+    };
+  }
+}
+
+/**
+ * Keeps 64-bit integers beyond 2^53 exact: they become `{ $numberLong }` instead of a rounded number
+ * @param {any} value - Document read with `useBigInt64`
+ * @returns {any}
+ */
+const preserveLongs = (value) => {
+  if (typeof value === 'bigint') {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(value)
+      : { $numberLong: value.toString() };
+  }
+  if (Array.isArray(value)) return value.map(preserveLongs);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, preserveLongs(inner)]));
+  }
+  return value;
+};
+
+// Time a cancelled command gets to return to the prompt before mongosh is restarted
+const CANCEL_GRACE_MS = 5000;
+
+// Consecutive failed starts after which queued scripts are rejected instead of retried
+const MAX_START_ATTEMPTS = 3;
+
+// stderr lines that are reported but do not fail the running command
+const STDERR_WARNING = /\b(warning|deprecat\w*)\b/i;
+const MAX_WARNINGS = 10;
+
+/**
+ * Adds an appName to a connection string so the operations of a client can be found in currentOp
+ * @param {string} connectionString - MongoDB URI
+ * @param {string} appName - Application name
+ * @returns {string}
+ */
+const withAppName = (connectionString, appName) => {
+  if (/[?&]appName=/i.test(connectionString)) {
+    return connectionString.replace(/([?&]appName=)[^&]*/i, `$1${encodeURIComponent(appName)}`);
+  }
+  const [, hosts = ''] = connectionString.split('://');
+  const separator = connectionString.includes('?') ? '&' : hosts.includes('/') ? '?' : '/?';
+  return `${connectionString}${separator}appName=${encodeURIComponent(appName)}`;
+};
+
 /**
- * Parses MongoDB extended JSON strings to standard JSON objects
- * Converts MongoDB-specific types and syntax to valid JSON
- * @param {string} str - MongoDB object string to parse
- * @returns {any} Parsed JSON object or the original string if parsing fails
+ * Runs inside mongosh: samples documents of every collection and infers field types.
+ * Serialized with toString() and collapsed onto one line, so statements end with
+ * semicolons and there are no line comments. The returned value comes back as
+ * Extended JSON like any other script result.
  */
-const parseMongoDBObject = (str) => {
-  try {
-    let converted = str
-      // Handle Long
-      .replace(/Long\(['"](\d+)['"]\)/g, '$1')
-      // Handle Timestamp
-      .replace(/Timestamp\({ t: (\d+), i: (\d+) }\)/g, '{"$timestamp":{"t":$1,"i":$2}}')
-      // Handle Binary
-      .replace(/Binary.createFromBase64\(['"]([^'"]+)['"], (\d+)\)/g, '{"$binary":{"base64":"$1","subType":"$2"}}')
-      // Handle ObjectId
-      .replace(/ObjectId\(['"](.+?)['"]\)/g, '"$1"')
-      // Handle ISODate
-      .replace(/ISODate\(['"](.+?)['"]\)/g, '"$1"')
-      // Quote unquoted keys
-      .replace(/([{,\s])(\w+):/g, '$1"$2":')
-      // Replace single quotes with double quotes for strings
-      .replace(/'([^']*?)'/g, '"$1"');
-
-    return JSON.parse(converted);
-  } catch (error) {
-    // If parsing fails, return the original string
-    return str;
+function inferMongoSchema({ databases, sampleSize, maxCollections }) {
+  const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return 'date';
+    if (typeof value === 'object') {
+      const name = value._bsontype ?? value.constructor?.name;
+      return name && name !== 'Object' ? name : 'object';
+    }
+    return typeof value;
+  };
+  const names = databases.length > 0
+    ? databases
+    : db.getMongo().getDBNames().filter(name => !['admin', 'local', 'config'].includes(name));
+  const result = [];
+  for (const name of names) {
+    const database = db.getSiblingDB(name);
+    const collections = database.getCollectionNames().filter(collection => !collection.startsWith('system.'));
+    for (const collection of collections.slice(0, maxCollections)) {
+      const fields = {};
+      const visit = (doc, prefix, depth) => {
+        for (const [key, value] of Object.entries(doc)) {
+          const path = prefix + key;
+          const type = typeOf(value);
+          fields[path] = fields[path] ?? [];
+          if (!fields[path].includes(type)) fields[path].push(type);
+          if (depth < 2 && type === 'object') visit(value, path + '.', depth + 1);
+          if (depth < 2 && type === 'array' && value.length > 0 && typeOf(value[0]) === 'object') visit(value[0], path + '[].', depth + 1);
+        }
+      };
+      database.getCollection(collection).aggregate([{ $sample: { size: sampleSize } }]).toArray().forEach(doc => visit(doc, '', 0));
+      result.push({ database: name, name: collection, count: database.getCollection(collection).estimatedDocumentCount(), fields });
+    }
   }
+  return result;
+}
+
+// BSON type names (as mongosh reports them) of relaxed Extended JSON wrappers
+const EXTENDED_JSON_TYPES = {
+  $oid: 'ObjectId',
+  $date: 'date',
+  $numberLong: 'Long',
+  $numberDecimal: 'Decimal128',
+  $binary: 'Binary',
+  $timestamp: 'Timestamp',
+  $regularExpression: 'BSONRegExp'
+};
+
+/**
+ * Type name of a value from a driver result, matching the names `inferMongoSchema` reports
+ */
+const mongoTypeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') {
+    const keys = Object.keys(value);
+    return keys.length === 1 && EXTENDED_JSON_TYPES[keys[0]] ? EXTENDED_JSON_TYPES[keys[0]] : 'object';
+  }
+  return typeof value;
+};
+
+// Prefixes the line carrying a script's result so it can be told apart from printed output
+const RESULT_MARKER = '__AI_TUNING_RESULT__';
+
+/**
+ * Defined once per mongosh process. Iterates cursors up to a limit and prints
+ * the value as canonical Extended JSON, base64 encoded so that shell output
+ * formatting cannot alter it.
+ */
+const ENCODER_SCRIPT = `globalThis.__aiEncode = async (value, limit) => {
+  let more = false;
+  value = await value;
+  if (value === undefined) return '';
+  if (value && typeof value.hasNext === 'function' && typeof value.next === 'function') {
+    const documents = [];
+    while (documents.length < limit && await value.hasNext()) documents.push(await value.next());
+    more = await value.hasNext();
+    value = documents;
+  }
+  return Buffer.from(EJSON.stringify({ value, more }, { relaxed: false })).toString('base64');
+}; print('${RESULT_MARKER}')`.replace(/\n\s*/g, ' ');
+
+// Statements that have no value of their own
+const DECLARATION = /^(?:(?:const|let|var|if|for|while|do|switch|try|throw|class|function|async\s+function)\b|\{)/;
+
+/**
+ * Shell helpers are not JavaScript; they are replaced by the equivalent expression
+ */
+const SHELL_HELPERS = [
+  [/^show\s+(?:dbs|databases)$/, () => 'db.adminCommand({ listDatabases: 1 }).databases'],
+  [/^show\s+(?:collections|tables)$/, () => 'db.getCollectionNames()'],
+  [/^use\s+(\S+)$/, (name) => `(db = db.getSiblingDB(${JSON.stringify(name)}), ${JSON.stringify(`switched to db ${name}`)})`]
+];
+
+const translateShellHelper = (statement) => {
+  for (const [pattern, expression] of SHELL_HELPERS) {
+    const match = statement.match(pattern);
+    if (match) return expression(match[1]);
+  }
+  return statement;
+};
+
+/**
+ * Splits a mongosh script into top-level statements and joins the lines of each one,
+ * so the script can be sent as a single line and the value of its last statement captured.
+ * Statements end at `;` or at a line break, unless the line ends with an operator or the
+ * next one continues the expression (`.limit(5)`, `}`, ...); inside blocks line breaks become `;`
+ * under the same rule. Comments are dropped and strings are kept verbatim.
+ * @param {string} script - mongosh script
+ * @returns {string[]}
+ */
+const splitStatements = (script) => {
+  const statements = [];
+  const brackets = [];
+  let current = '';
+  let i = 0;
+
+  const push = () => {
+    if (current.trim()) statements.push(current.trim());
+    current = '';
+  };
+
+  while (i < script.length) {
+    const char = script[i];
+    const next = script[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = script.indexOf('\n', i);
+      i = end === -1 ? script.length : end;
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      const end = script.indexOf('*/', i + 2);
+      i = end === -1 ? script.length : end + 2;
+      current += ' ';
+      continue;
+    }
+    if (char === '\'' || char === '"' || char === '`') {
+      let j = i + 1;
+      while (j < script.length && script[j] !== char) j += script[j] === '\\' ? 2 : 1;
+      current += script.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    if ('([{'.includes(char)) brackets.push(char);
+    if (')]}'.includes(char)) brackets.pop();
+
+    const inBlock = brackets.length === 0 || brackets[brackets.length - 1] === '{';
+    if (char === ';' && brackets.length === 0) {
+      push();
+    } else if (char === '\n' || char === '\r') {
+      const rest = script.slice(i + 1).replace(/^(\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/, '');
+      const continues = /[,([{.+\-*/%&|=?:!<>]\s*$/.test(current) || /^([.)\]}?:,]|[+\-*/%&|=<>](?!\+|-))/.test(rest);
+      if (!inBlock || continues || !current.trim()) {
+        current += ' ';
+      } else if (brackets.length === 0) {
+        push();
+      } else {
+        current += '; ';
+      }
+    } else {
+      current += char;
+    }
+    i++;
+  }
+  push();
+  return statements;
+};
+
+/**
+ * Turns a mongosh script into a single input line that prints the value of its
+ * last statement after RESULT_MARKER
+ * @param {string} script - mongosh script
+ * @param {number} maxDocuments - Documents read from a resulting cursor
+ * @returns {string}
+ */
+const toShellLine = (script, maxDocuments) => {
+  const statements = splitStatements(script).map(translateShellHelper);
+  const last = statements[statements.length - 1];
+  const capture = last !== undefined && !DECLARATION.test(last);
+  const body = capture ? statements.slice(0, -1) : statements;
+  const encode = `print('${RESULT_MARKER}' + await __aiEncode(${capture ? `(${last})` : 'undefined'}, ${maxDocuments}))`;
+  return [...body, encode].join('; ');
 };
 
 /**
  * MongoDB Integration Utility
- * Provides an interactive interface for executing MongoDB shell commands via mongosh
+ * Runs structured operations (find, aggregate, countDocuments, distinct, ...)
+ * through the official driver and returns relaxed Extended JSON. mongosh is an
+ * optional fallback: it is only started when a shell script has to be evaluated
+ * or when MONGODB_BACKEND=mongosh, and returns canonical Extended JSON, which
+ * keeps the BSON types (Int32, Double, Long, Decimal128) the shell saw.
  */
-class MongoDBIntegration {
+class MongoDBIntegration extends DataSourceAdapter {
   #connectionString = null;
+  #backend;
+  #maxDocuments;
+  #maxTimeMS;
+  #commandTimeoutMS;
+  #client = null;
   #mongoshProcess = null;
+  #shellAppName = `ai-tuning-js-mongosh-${process.pid}`;
   #commandQueue = [];
-  #currentResolve = null;
-  #currentReject = null;
+  #current = null;
   #outputBuffer = '';
+  #errorBuffer = '';
   #ready = false;
+  #draining = false;
+  #graceTimer = null;
+  #exitReason = null;
+  #closing = false;
+  #unavailable = false;
+  #starts = 0;
+  #failedStarts = 0;
+  #timeouts = 0;
+  #lastError = null;
+  #warnings = [];
+  #guard = null;
+  #cassette = null;
+  #source;
+
+  /**
+   * @param {object} [options]
+   * @param {object} [options.policy] - Write-protection policy, see MongoGuard.
+   *   Defaults to the JSON in MONGODB_POLICY, e.g. `{"default":"confirm-writes","databases":{"monitoring":"read-only"}}`
+   * @param {Cassette|null} [options.cassette] - Records or replays scripts, defaults to CASSETTE_MODE
+   * @param {string} [options.source] - Data source name, stored with cassette interactions to tell sources apart
+   * @param {string} [options.connectionString] - Deployment to connect to, defaults to MONGODB_URI
+   * @param {string} [options.backend] - 'driver' or 'mongosh' for structured operations, defaults to MONGODB_BACKEND or driver
+   * @param {number} [options.maxDocuments] - Documents read from a find, aggregate or shell cursor, defaults to MONGODB_MAX_DOCUMENTS or 1000
+   * @param {number} [options.maxTimeMS] - Server-side time limit per operation, defaults to MONGODB_MAX_TIME_MS or 30000
+   * @param {number} [options.commandTimeoutMS] - Time a mongosh script may run before it is cancelled,
+   *   defaults to MONGOSH_TIMEOUT_MS or 60000
+   */
+  constructor(options = {}) {
+    super();
+
+    const {
+      policy = MongoDBIntegration.#policyFromEnv(),
+      cassette = Cassette.fromEnv(),
+      source,
+      connectionString = process.env.MONGODB_URI,
+      backend = process.env.MONGODB_BACKEND ?? 'driver',
+      maxDocuments = process.env.MONGODB_MAX_DOCUMENTS ?? 1000,
+      maxTimeMS = process.env.MONGODB_MAX_TIME_MS ?? 30000,
+      commandTimeoutMS = process.env.MONGOSH_TIMEOUT_MS ?? 60000
+    } = options;
+
+    if (!MONGODB_BACKENDS.includes(backend)) {
+      throw new Error(`❌ Unknown MongoDB backend: ${backend}. Expected one of ${MONGODB_BACKENDS.join(', ')}`);
+    }
+
+    this.#cassette = cassette;
+    this.#source = source;
+    this.#backend = backend;
+    this.#maxDocuments = integerSetting('MONGODB_MAX_DOCUMENTS', maxDocuments, 1);
+    this.#maxTimeMS = integerSetting('MONGODB_MAX_TIME_MS', maxTimeMS);
+    this.#commandTimeoutMS = integerSetting('MONGOSH_TIMEOUT_MS', commandTimeoutMS, 1);
+    this.#connectionString = connectionString;
+    this.#guard = new MongoGuard({ ...policy, connectionString: this.#connectionString });
+
+    // Replayed sessions never reach the server
+    if (this.#cassette?.replaying) return;
 
-  constructor() {
-    this.#connectionString = process.env.MONGODB_URI;
     if (!this.#connectionString) {
       throw new Error('❌ MONGODB_URI not found in environment variables');
     }
-    this.#startMongosh();
+  }
+
+  get dialect() {
+    return 'MongoDB';
+  }
+
+  get backend() {
+    return this.#backend;
   }
 
   /**
-   * Starts a persistent mongosh process
+   * Parses the JSON of a ```mongodb block into a structured operation
+   * @param {string} text - Block content
+   * @returns {object|null} The operation, or null when the text is not a JSON operation (i.e. a shell script)
+   */
+  static parseOperation(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{')) return null;
+    try {
+      const operation = JSON.parse(trimmed);
+      return typeof operation?.operation === 'string' ? operation : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Checks the shape of a structured operation
+   * @param {object} operation - Structured operation
+   * @throws {MongoOperationError} When a field is missing or has the wrong type
+   */
+  static validateOperation(operation) {
+    const { operation: name, collection, filter, projection, sort, pipeline, field, limit, skip } = operation;
+    const isObject = (value) => value === undefined || (value !== null && typeof value === 'object' && !Array.isArray(value));
+
+    if (!MONGODB_OPERATIONS.includes(name)) {
+      throw new MongoOperationError(`Unsupported operation "${name}". Use one of ${MONGODB_OPERATIONS.join(', ')}`);
+    }
+    if (COLLECTION_OPERATIONS.has(name) && (typeof collection !== 'string' || !collection)) {
+      throw new MongoOperationError(`"${name}" needs a "collection"`);
+    }
+    if (!isObject(filter) || !isObject(projection) || !isObject(sort)) {
+      throw new MongoOperationError('"filter", "projection" and "sort" must be objects');
+    }
+    if (name === 'aggregate' && !Array.isArray(pipeline)) {
+      throw new MongoOperationError('"aggregate" needs a "pipeline" array');
+    }
+    if (name === 'distinct' && (typeof field !== 'string' || !field)) {
+      throw new MongoOperationError('"distinct" needs a "field"');
+    }
+    // A limit of 0 means "no limit" to MongoDB, which would lift the document cap
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1)) {
+      throw new MongoOperationError('"limit" must be a positive integer; leave it out to read up to the document cap');
+    }
+    if (skip !== undefined && !(Number.isInteger(skip) && skip >= 0)) {
+      throw new MongoOperationError('"skip" must be a non-negative integer');
+    }
+  }
+
+  /**
+   * mongosh equivalent of a structured operation. Used to apply the write-protection
+   * policy and to run the operation when the mongosh backend is selected.
+   * @param {object} operation - Structured operation
+   * @returns {string} mongosh expression evaluating to the result
+   */
+  static toScript(operation) {
+    const { operation: name, database, collection, filter = {}, projection, sort, pipeline, field, limit, skip } = operation;
+    const ejson = (value) => `EJSON.deserialize(${JSON.stringify(value)})`;
+    const db = database ? `db.getSiblingDB(${JSON.stringify(database)})` : 'db';
+    const target = `${db}.getCollection(${JSON.stringify(collection)})`;
+
+    switch (name) {
+      case 'find': {
+        let script = `${target}.find(${ejson(filter)}${projection ? `, ${ejson(projection)}` : ''})`;
+        if (sort) script += `.sort(${ejson(sort)})`;
+        if (skip !== undefined) script += `.skip(${skip})`;
+        if (limit !== undefined) script += `.limit(${limit})`;
+        return script;
+      }
+      case 'aggregate':
+        return `${target}.aggregate(${ejson(pipeline)})`;
+      case 'countDocuments':
+        return `${target}.countDocuments(${ejson(filter)})`;
+      case 'estimatedDocumentCount':
+        return `${target}.estimatedDocumentCount()`;
+      case 'distinct':
+        return `${target}.distinct(${JSON.stringify(field)}, ${ejson(filter)})`;
+      case 'listCollections':
+        return `${db}.getCollectionInfos({}, { nameOnly: true })`;
+      case 'listDatabases':
+        return 'db.getMongo().getDBs().databases';
+      default:
+        throw new MongoOperationError(`Unsupported operation "${name}"`);
+    }
+  }
+
+  /**
+   * Executes a structured operation
+   * The operation is checked against the write-protection policy first; `$out` and
+   * `$merge` stages count as writes.
+   * @param {object|string} operation - e.g. `{ operation: 'find', collection: 'orders', filter: { status: 'paid' }, limit: 10 }`.
+   *   Filters, projections, sorts and pipelines may use Extended JSON such as `{ "$oid": "..." }` or `{ "$date": "..." }`.
+   *   The text of a query block is parsed first; text that is not a JSON operation runs as a mongosh script.
+   * @param {object} [options]
+   * @param {Function} [options.confirm] - Async callback asked to approve operations that need confirmation
+   * @param {AbortSignal} [options.signal] - Cancels the operation
+   * @returns {Promise<any>} Documents, a count, or distinct values as Extended JSON (relaxed from the driver,
+   *   canonical from mongosh)
+   * @throws {MongoOperationError} When the operation is malformed
+   * @throws {MongoGuardError} When the policy rejects the operation or confirmation is refused
+   * @throws {QueryError} When the server or mongosh fails the operation
+   */
+  async execute(operation, options = {}) {
+    if (typeof operation === 'string') {
+      const parsed = MongoDBIntegration.parseOperation(operation);
+      return parsed ? this.execute(parsed, options) : this.mongoshEval(operation, options);
+    }
+    return intercept(this.#cassette, 'mongodb', { source: this.#source, operation }, () => this.#execute(operation, options));
+  }
+
+  async #execute(operation, options) {
+    MongoDBIntegration.validateOperation(operation);
+    const script = MongoDBIntegration.toScript(operation);
+    await this.#guard.assert(script, options.confirm);
+
+    try {
+      if (this.#backend === 'mongosh') {
+        return await this.#evaluate(script, options.signal);
+      }
+      return await this.#cancellable(() => this.#runOperation(operation), options.signal);
+    } catch (error) {
+      // Server errors name their code, e.g. { code: 2, codeName: 'BadValue' }
+      throw QueryError.from(error, { code: error.codeName ?? error.code });
+    }
+  }
+
+  /**
+   * Runs a driver call that settles with an AbortError as soon as the signal fires.
+   * The connection is closed so the operation does not keep running; the next
+   * call reconnects.
+   * @private
+   */
+  async #cancellable(run, signal) {
+    if (signal?.aborted) throw abortError();
+    if (!signal) return run();
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => {
+        const client = this.#client;
+        this.#client = null;
+        client?.close().catch(() => {});
+        reject(abortError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      return await Promise.race([run(), aborted]);
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async #runOperation(operation) {
+    const { database, collection, filter = {}, projection, sort, pipeline, field, limit, skip } =
+      EJSON.deserialize(operation, { relaxed: true });
+    const client = await this.#connectClient();
+    const db = client.db(database);
+    const target = collection ? db.collection(collection) : null;
+    const maxTimeMS = this.#maxTimeMS;
+
+    let result;
+    switch (operation.operation) {
+      case 'find':
+        result = await target.find(filter, {
+          projection,
+          sort,
+          skip,
+          limit: Math.min(limit || this.#maxDocuments, this.#maxDocuments),
+          maxTimeMS
+        }).toArray();
+        break;
+      case 'aggregate': {
+        const cursor = target.aggregate(pipeline, { maxTimeMS });
+        result = [];
+        for await (const document of cursor) {
+          if (result.length >= this.#maxDocuments) break;
+          result.push(document);
+        }
+        await cursor.close();
+        break;
+      }
+      case 'countDocuments':
+        result = await target.countDocuments(filter, { maxTimeMS });
+        break;
+      case 'estimatedDocumentCount':
+        result = await target.estimatedDocumentCount({ maxTimeMS });
+        break;
+      case 'distinct':
+        result = await target.distinct(field, filter, { maxTimeMS });
+        break;
+      case 'listCollections':
+        result = (await db.listCollections({}, { nameOnly: true }).toArray())
+          .map(({ name, type }) => ({ name, type }));
+        break;
+      case 'listDatabases':
+        result = (await client.db().admin().listDatabases({ nameOnly: true })).databases
+          .map(({ name }) => ({ name }));
+        break;
+    }
+
+    return EJSON.serialize(preserveLongs(result), { relaxed: true });
+  }
+
+  async #connectClient() {
+    if (!this.#client) {
+      const client = new MongoClient(this.#connectionString, {
+        appName: 'ai-tuning-js',
+        serverSelectionTimeoutMS: 10000,
+        useBigInt64: true
+      });
+      await client.connect();
+      this.#client = client;
+    }
+    return this.#client;
+  }
+
+  /**
+   * Reads the policy configured in MONGODB_POLICY
+   * @private
+   */
+  static #policyFromEnv() {
+    if (!process.env.MONGODB_POLICY) return {};
+    try {
+      return JSON.parse(process.env.MONGODB_POLICY);
+    } catch (error) {
+      throw new Error(`❌ MONGODB_POLICY is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Starts a persistent mongosh process. It gets its own process group so Ctrl+C
+   * in the chat cancels through the abort signal instead of killing the shell.
    * @private
    */
   #startMongosh() {
-    this.#mongoshProcess = spawn('mongosh', [this.#connectionString, '--quiet'], {
+    const child = spawn('mongosh', [withAppName(this.#connectionString, this.#shellAppName), '--quiet'], {
       stdio: ['pipe', 'pipe', 'pipe'],
       shell: false,
+      detached: true
     });
+    this.#mongoshProcess = child;
+    this.#ready = false;
+    this.#draining = false;
+    this.#exitReason = null;
+    this.#outputBuffer = '';
+    this.#errorBuffer = '';
+    this.#starts++;
+    // Runs before any queued script
+    this.#commandQueue.unshift({ line: ENCODER_SCRIPT, internal: true, resolve: () => {}, reject: () => {} });
 
     // Handle stdout (responses from mongosh)
-    this.#mongoshProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      this.#outputBuffer += output;
+    child.stdout.on('data', (data) => {
+      this.#outputBuffer += data.toString();
       this.#processOutput();
     });
 
-    // Handle stderr (errors from mongosh)
-    this.#mongoshProcess.stderr.on('data', (data) => {
-      const error = data.toString();
-      if (this.#currentReject) {
-        this.#currentReject(new Error(`mongosh error: ${error}`));
-        this.#clearCurrentCommand();
+    // Warnings are reported right away; anything else is kept as the error of the running command
+    child.stderr.on('data', (data) => {
+      for (const line of data.toString().split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        if (STDERR_WARNING.test(line)) {
+          this.#warnings = [...this.#warnings, line.trim()].slice(-MAX_WARNINGS);
+          console.warn(chalk.gray(`⚠️ mongosh: ${line.trim()}`));
+        } else {
+          this.#errorBuffer += `${line}\n`;
+        }
       }
     });
 
-    // Handle process errors
-    this.#mongoshProcess.on('error', (error) => {
+    // Handle process errors; 'close' follows and settles the commands
+    child.on('error', (error) => {
       if (error.code === 'ENOENT') {
-        throw new Error('mongosh command not found. Please ensure MongoDB Shell is installed and in PATH.');
-      }
-      if (this.#currentReject) {
-        this.#currentReject(new Error(`Failed to execute mongosh: ${error.message}`));
-        this.#clearCurrentCommand();
+        this.#unavailable = true;
+        this.#exitReason = 'mongosh command not found. Please ensure MongoDB Shell is installed and in PATH.';
+      } else {
+        this.#exitReason = `Failed to execute mongosh: ${error.message}`;
       }
     });
 
-    // Handle process exit
-    this.#mongoshProcess.on('close', (code) => {
-      const error = new Error(`mongosh process exited with code ${code}`);
-      if (this.#currentReject) {
-        this.#currentReject(error);
-        this.#clearCurrentCommand();
-      }
-      this.#mongoshProcess = null;
-    });
+    child.on('close', (code) => this.#handleExit(child, code));
+  }
+
+  /**
+   * Settles the commands of a shell that has gone away and starts a new one for
+   * the queued commands. The running command is not retried since it may
+   * already have had effects; queued ones never reached the shell.
+   * @private
+   */
+  #handleExit(child, code) {
+    if (this.#mongoshProcess !== child) return;
+    this.#mongoshProcess = null;
+    clearTimeout(this.#graceTimer);
+
+    const reason = this.#exitReason ?? (this.#errorBuffer.trim() || `mongosh process exited with code ${code}`);
+    this.#lastError = reason;
+    if (!this.#ready) this.#failedStarts++;
+
+    const command = this.#current;
+    this.#finishCurrent();
+    command?.reject(new Error(reason));
+    this.#commandQueue = this.#commandQueue.filter(({ internal }) => !internal);
+    if (this.#commandQueue.length === 0) return;
+
+    if (this.#closing || this.#unavailable || this.#failedStarts >= MAX_START_ATTEMPTS) {
+      const queued = this.#commandQueue;
+      this.#commandQueue = [];
+      queued.forEach(({ reject }) => reject(new Error(reason)));
+      return;
+    }
+
+    console.warn(chalk.yellow(`🔄 Restarting mongosh (${reason.split('\n')[0]}), ${this.#commandQueue.length} queued`));
+    this.#startMongosh();
   }
 
   /**
@@ -114,43 +694,76 @@ class MongoDBIntegration {
     const lastLine = lines[lines.length - 1]?.trim() || '';
 
     // Check if the last line is a prompt (ends with '>')
-    if (lastLine.endsWith('>')) {
-      // Extract the output before the prompt line
-      const commandOutput = lines.slice(0, -1).join('\n').trim();
-
-      // Clear the buffer
-      this.#outputBuffer = '';
-
-      if (!this.#ready) {
-        // Initial prompt detected, set ready and process next command
-        this.#ready = true;
-      } else if (this.#currentResolve) {
-        // Handle 'show dbs' specifically to return raw string
-        if (this.#commandQueue[0]?.script === 'show dbs') {
-          this.#currentResolve(commandOutput);
-        } else {
-          // Try to parse JSON-like output
-          let result = commandOutput;
-          if (commandOutput.startsWith('{') || commandOutput.startsWith('[')) {
-            result = parseMongoDBObject(commandOutput);
-          }
-          this.#currentResolve(result);
-        }
-        this.#clearCurrentCommand();
+    if (!lastLine.endsWith('>')) return;
+
+    // Extract the output before the prompt line
+    const commandOutput = lines.slice(0, -1).join('\n').trim();
+    const errors = this.#errorBuffer.trim();
+    this.#outputBuffer = '';
+    this.#errorBuffer = '';
+
+    if (!this.#ready) {
+      // Initial prompt detected
+      this.#ready = true;
+      this.#failedStarts = 0;
+    } else if (this.#draining) {
+      // The cancelled command has come back; its output is dropped
+      this.#draining = false;
+      clearTimeout(this.#graceTimer);
+    } else if (this.#current) {
+      const { resolve, reject } = this.#current;
+      this.#finishCurrent();
+      try {
+        resolve(this.#parseResult(commandOutput, errors));
+      } catch (error) {
+        reject(error);
       }
+    }
+
+    // Process the next command in the queue
+    this.#processNextCommand();
+  }
+
+  /**
+   * Reads the value printed after RESULT_MARKER. The value stays canonical Extended
+   * JSON, so `1` and `1.0`, Int32 and Long keep their types on the way to the
+   * viewer and the exporter (the model gets it relaxed, see ResultShaper); a
+   * script without a value returns what it printed. Error output only fails the command when no result was printed.
+   * @private
+   */
+  #parseResult(output, errors) {
+    const lines = output.split(/\r?\n/);
+    let index = lines.length - 1;
+    while (index >= 0 && !lines[index].includes(RESULT_MARKER)) index--;
+    if (index === -1) {
+      // Uncaught errors are printed instead of the result
+      throw new Error(`mongosh error: ${errors || output || 'the script produced no result'}`);
+    }
+    if (errors) {
+      console.warn(chalk.gray(`⚠️ mongosh: ${errors}`));
+    }
+
+    const encoded = lines[index].slice(lines[index].indexOf(RESULT_MARKER) + RESULT_MARKER.length).trim();
+    const printed = lines.slice(0, index).join('\n').trim();
+    if (!encoded) return printed;
 
-      // Process the next command in the queue
-      this.#processNextCommand();
+    const { value, more } = EJSON.serialize(
+      EJSON.parse(Buffer.from(encoded, 'base64').toString('utf8'), { relaxed: false }),
+      { relaxed: false }
+    );
+    if (more) {
+      console.log(chalk.gray(`ℹ️ Cursor stopped after ${this.#maxDocuments} documents (MONGODB_MAX_DOCUMENTS)`));
     }
+    return value === undefined ? printed : value;
   }
 
   /**
-   * Clears the current command's resolve/reject
+   * Clears the running command and its timeout
    * @private
    */
-  #clearCurrentCommand() {
-    this.#currentResolve = null;
-    this.#currentReject = null;
+  #finishCurrent() {
+    clearTimeout(this.#current?.timer);
+    this.#current = null;
   }
 
   /**
@@ -158,41 +771,247 @@ class MongoDBIntegration {
    * @private
    */
   #processNextCommand() {
-    if (this.#ready && this.#commandQueue.length > 0 && !this.#currentResolve) {
-      const { script, resolve, reject } = this.#commandQueue.shift();
-      this.#currentResolve = resolve;
-      this.#currentReject = reject;
+    if (!this.#ready || this.#current || this.#draining || this.#commandQueue.length === 0) return;
 
-      // Send the command to mongosh
-      this.#mongoshProcess.stdin.write(`${script}\n`);
+    const command = this.#commandQueue.shift();
+    this.#current = command;
+    command.timer = setTimeout(() => {
+      this.#timeouts++;
+      const error = new Error(`mongosh command timed out after ${this.#commandTimeoutMS} ms`);
+      error.code = 'MONGOSH_TIMEOUT';
+      this.#cancel(command, error);
+    }, this.#commandTimeoutMS);
+
+    // Send the command to mongosh
+    this.#mongoshProcess.stdin.write(`${command.line}\n`);
+  }
+
+  /**
+   * Rejects a command. A queued one is simply dropped; a running one has its
+   * server operations killed (db.killOp), and the shell is replaced when it does
+   * not come back within CANCEL_GRACE_MS, e.g. because the script loops client-side.
+   * @private
+   */
+  #cancel(command, error) {
+    if (this.#current !== command) {
+      const index = this.#commandQueue.indexOf(command);
+      if (index === -1) return;
+      this.#commandQueue.splice(index, 1);
+      command.reject(error);
+      return;
     }
+
+    this.#finishCurrent();
+    command.reject(error);
+    this.#draining = true;
+    this.#killOperations().catch(killError => {
+      if (this.#closing) return;
+      console.warn(chalk.yellow(`⚠️ Could not kill the running MongoDB operation: ${killError.message}`));
+    });
+
+    const child = this.#mongoshProcess;
+    this.#graceTimer = setTimeout(() => {
+      if (!this.#draining || this.#mongoshProcess !== child) return;
+      this.#exitReason = 'mongosh did not respond after a cancelled command';
+      child.kill('SIGKILL');
+    }, CANCEL_GRACE_MS);
+  }
+
+  /**
+   * Kills the server operations started by the mongosh process, found by its appName
+   * @private
+   * @returns {Promise<number>} Operations killed
+   */
+  async #killOperations() {
+    const admin = (await this.#connectClient()).db('admin');
+    const { inprog } = await admin.command({ currentOp: 1, appName: this.#shellAppName });
+    await Promise.all(inprog.map(({ opid }) => admin.command({ killOp: 1, op: opid })));
+    return inprog.length;
   }
 
   /**
    * Executes a MongoDB shell script interactively
+   * The script is checked against the write-protection policy before it is sent to mongosh.
    * @param {string} script - MongoDB shell script to execute
-   * @returns {Promise<any>} Script execution result (string for 'show dbs', parsed object for JSON-like output)
+   * @param {object} [options]
+   * @param {Function} [options.confirm] - Async callback asked to approve operations the policy
+   *   marks as needing confirmation; without it such scripts are rejected
+   * @param {AbortSignal} [options.signal] - Cancels the script, killing its server operations
+   * @returns {Promise<any>} Value of the last statement as canonical Extended JSON, with cursors read up to
+   *   `maxDocuments`; the printed output when the script has no value
+   * @throws {MongoGuardError} When the policy rejects the script or confirmation is refused
+   * @throws {QueryError} When the script fails or times out (`code` MONGOSH_TIMEOUT)
+   * @throws {Error} An AbortError when cancelled
    */
-  async mongoshEval(script) {
-    if (!this.#mongoshProcess || this.#mongoshProcess.killed) {
-      throw new Error('mongosh process is not running');
+  async mongoshEval(script, options = {}) {
+    return intercept(this.#cassette, 'mongodb', { source: this.#source, script }, () => this.#mongoshEval(script, options));
+  }
+
+  async #mongoshEval(script, options) {
+    await this.#guard.assert(script, options.confirm);
+    try {
+      return await this.#evaluate(script, options.signal);
+    } catch (error) {
+      throw QueryError.from(error, { code: error.code ?? 'MONGOSH_ERROR' });
+    }
+  }
+
+  /**
+   * Queues a script for mongosh, starting the shell on first use or after it went away
+   * @private
+   */
+  async #evaluate(script, signal) {
+    if (signal?.aborted) throw abortError();
+    if (this.#unavailable) throw new Error(this.#lastError);
+    if (!this.#mongoshProcess) {
+      this.#failedStarts = 0;
+      this.#startMongosh();
     }
 
-    return new Promise((resolve, reject) => {
-      this.#commandQueue.push({ script, resolve, reject });
-      this.#processNextCommand();
+    let command;
+    const result = new Promise((resolve, reject) => {
+      command = { line: toShellLine(script, this.#maxDocuments), resolve, reject };
+      this.#commandQueue.push(command);
     });
+    const onAbort = () => this.#cancel(command, abortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+    this.#processNextCommand();
+
+    try {
+      return await result;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
   }
 
   /**
-   * Closes the mongosh process
+   * Samples the documents of every collection and infers their field types
+   * @param {object} [options]
+   * @param {string[]} [options.databases] - Databases to sample, defaults to MONGODB_SCHEMA_DATABASES
+   *   or every database except admin, local and config
+   * @param {number} [options.sampleSize=20] - Documents sampled per collection
+   * @param {number} [options.maxCollections=50] - Collections described per database
+   * @returns {Promise<{collections: Array<object>}>} `{ database, name, count, fields }` where
+   *   `fields` maps dotted paths to the type names seen
    */
-  close() {
-    if (this.#mongoshProcess && !this.#mongoshProcess.killed) {
-      this.#mongoshProcess.stdin.write('exit\n');
-      this.#mongoshProcess = null;
+  async describeSchema(options = {}) {
+    const {
+      databases = (process.env.MONGODB_SCHEMA_DATABASES ?? '').split(',').map(name => name.trim()).filter(Boolean),
+      sampleSize = 20,
+      maxCollections = 50
+    } = options;
+    if (this.#backend === 'driver') {
+      return this.#describeWithDriver({ databases, sampleSize, maxCollections });
+    }
+
+    const script = `(${inferMongoSchema.toString()})(${JSON.stringify({ databases, sampleSize, maxCollections })})`
+      .replace(/\s*\n\s*/g, ' ');
+    // Only names, type names and counts are kept, so plain numbers are enough
+    return { collections: EJSON.deserialize(await this.mongoshEval(script), { relaxed: true }) };
+  }
+
+  /**
+   * Same sampling as `inferMongoSchema`, through structured driver operations
+   * @private
+   */
+  async #describeWithDriver({ databases, sampleSize, maxCollections }) {
+    const names = databases.length > 0
+      ? databases
+      : (await this.execute({ operation: 'listDatabases' }))
+        .map(({ name }) => name)
+        .filter(name => !['admin', 'local', 'config'].includes(name));
+
+    const collections = [];
+    for (const database of names) {
+      const entries = (await this.execute({ operation: 'listCollections', database }))
+        .filter(({ name }) => !name.startsWith('system.'));
+
+      for (const { name } of entries.slice(0, maxCollections)) {
+        const fields = {};
+        const visit = (doc, prefix, depth) => {
+          for (const [key, value] of Object.entries(doc)) {
+            const path = prefix + key;
+            const type = mongoTypeOf(value);
+            fields[path] = fields[path] ?? [];
+            if (!fields[path].includes(type)) fields[path].push(type);
+            if (depth < 2 && type === 'object') visit(value, path + '.', depth + 1);
+            if (depth < 2 && type === 'array' && value.length > 0 && mongoTypeOf(value[0]) === 'object') visit(value[0], path + '[].', depth + 1);
+          }
+        };
+
+        const sample = await this.execute({
+          operation: 'aggregate', database, collection: name, pipeline: [{ $sample: { size: sampleSize } }]
+        });
+        sample.forEach(doc => visit(doc, '', 0));
+        const count = await this.execute({ operation: 'estimatedDocumentCount', database, collection: name });
+        collections.push({ database, name, count, fields });
+      }
+    }
+
+    return { collections };
+  }
+
+  /**
+   * Checks that the deployment answers, through the driver
+   * @returns {Promise<number>} Round trip in milliseconds
+   */
+  async ping() {
+    const startedAt = Date.now();
+    await (await this.#connectClient()).db('admin').command({ ping: 1 });
+    return Date.now() - startedAt;
+  }
+
+  /**
+   * State of the driver connection and the mongosh process
+   * @returns {{backend: string, driver: string, mongosh: {state: string, pid: (number|null), restarts: number, queued: number, timeouts: number, lastError: (string|null), warnings: string[]}}}
+   */
+  get health() {
+    let state = 'idle';
+    if (this.#unavailable) state = 'unavailable';
+    else if (!this.#mongoshProcess) state = 'stopped';
+    else if (!this.#ready) state = 'starting';
+    else if (this.#draining) state = 'cancelling';
+    else if (this.#current) state = 'busy';
+
+    return {
+      backend: this.#backend,
+      driver: this.#client ? 'connected' : 'not connected',
+      mongosh: {
+        state,
+        pid: this.#mongoshProcess?.pid ?? null,
+        restarts: Math.max(this.#starts - 1, 0),
+        queued: this.#commandQueue.filter(({ internal }) => !internal).length,
+        timeouts: this.#timeouts,
+        lastError: this.#lastError,
+        warnings: [...this.#warnings]
+      }
+    };
+  }
+
+  /**
+   * Inspects a script against the write-protection policy without executing it
+   * @param {string} script - MongoDB shell script
+   * @returns {object} The policy evaluation (action, violations, inspection)
+   */
+  inspectScript(script) {
+    return this.#guard.evaluate(script);
+  }
+
+  /**
+   * Closes the driver connection and the mongosh process; queued scripts are rejected
+   */
+  async close() {
+    this.#closing = true;
+    clearTimeout(this.#graceTimer);
+    if (this.#mongoshProcess) {
+      this.#mongoshProcess.stdin.end('exit\n');
+    }
+    if (this.#client) {
+      const client = this.#client;
+      this.#client = null;
+      await client.close();
     }
   }
 }
 
-export default MongoDBIntegration;
\ No newline at end of file
+export default MongoDBIntegration;
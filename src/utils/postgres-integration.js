@@ -1,68 +1,400 @@
-import { Client } from 'pg';
+import { readFileSync } from 'fs';
+import { Pool } from 'pg';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
+import SqlGuard from './sql-guard.js';
+import Cassette from './cassette.js';
+import DataSourceAdapter, { abortError, groupTables, integerSetting, intercept, QueryError } from './data-source-adapter.js';
 
 dotenv.config();
 
+/**
+ * SSL modes accepted in POSTGRES_SSL, named after libpq's sslmode
+ * - disable: plain connection
+ * - require: encrypted, the server certificate is not checked
+ * - verify-ca: the certificate must be signed by a trusted CA (POSTGRES_SSL_CA)
+ * - verify-full: verify-ca, and the certificate must match the host name
+ */
+export const POSTGRES_SSL_MODES = Object.freeze(['disable', 'require', 'verify-ca', 'verify-full']);
+
+/**
+ * Names of the built-in types, by OID (see pg_type). Other types are looked up on the server.
+ */
+const POSTGRES_TYPES = {
+  16: 'bool', 17: 'bytea', 18: 'char', 19: 'name', 20: 'int8', 21: 'int2', 23: 'int4', 25: 'text', 26: 'oid',
+  114: 'json', 142: 'xml', 600: 'point', 650: 'cidr', 700: 'float4', 701: 'float8', 790: 'money', 829: 'macaddr',
+  869: 'inet', 1000: 'bool[]', 1005: 'int2[]', 1007: 'int4[]', 1009: 'text[]', 1015: 'varchar[]', 1016: 'int8[]',
+  1021: 'float4[]', 1022: 'float8[]', 1042: 'bpchar', 1043: 'varchar', 1082: 'date', 1083: 'time',
+  1114: 'timestamp', 1115: 'timestamp[]', 1182: 'date[]', 1184: 'timestamptz', 1185: 'timestamptz[]',
+  1186: 'interval', 1231: 'numeric[]', 1266: 'timetz', 1560: 'bit', 1562: 'varbit', 1700: 'numeric',
+  2950: 'uuid', 2951: 'uuid[]', 3614: 'tsvector', 3802: 'jsonb', 3807: 'jsonb[]'
+};
+
+const SQLSTATE = /^[0-9A-Z]{5}$/;
+
+// Statements that can be read through a cursor (DECLARE ... CURSOR FOR)
+const CURSOR_KEYWORDS = new Set(['SELECT', 'WITH', 'VALUES', 'TABLE']);
+
+const CURSOR_NAME = 'ai_tuning_cursor';
+
+const POSTGRES_COLUMNS_SQL = `
+SELECT n.nspname AS schema, c.relname AS table, c.relkind AS kind,
+       a.attname AS column, format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull AS not_null,
+       obj_description(c.oid, 'pg_class') AS table_comment, col_description(c.oid, a.attnum) AS column_comment
+FROM pg_catalog.pg_class c
+JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+JOIN pg_catalog.pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f')
+  AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+  AND n.nspname NOT LIKE 'pg_toast%'
+ORDER BY n.nspname, c.relname, a.attnum`;
+
+const POSTGRES_CONSTRAINTS_SQL = `
+SELECT n.nspname AS schema, c.relname AS table, con.contype AS type,
+       ARRAY(SELECT attname FROM pg_catalog.pg_attribute WHERE attrelid = con.conrelid AND attnum = ANY(con.conkey)) AS columns,
+       fn.nspname AS ref_schema, fc.relname AS ref_table,
+       ARRAY(SELECT attname FROM pg_catalog.pg_attribute WHERE attrelid = con.confrelid AND attnum = ANY(con.confkey)) AS ref_columns
+FROM pg_catalog.pg_constraint con
+JOIN pg_catalog.pg_class c ON c.oid = con.conrelid
+JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+LEFT JOIN pg_catalog.pg_class fc ON fc.oid = con.confrelid
+LEFT JOIN pg_catalog.pg_namespace fn ON fn.oid = fc.relnamespace
+WHERE con.contype IN ('p', 'f')
+  AND n.nspname NOT IN ('pg_catalog', 'information_schema')`;
+
+const POSTGRES_KINDS = { r: 'table', p: 'table', v: 'view', m: 'materialized view', f: 'foreign table' };
+
 /**
  * PostgreSQL Integration Utility
- * Provides a simplified interface for executing SQL queries.
+ * Provides a simplified interface for executing SQL queries over a connection pool.
+ * Queries pass through a SqlGuard first; in read-only mode (the default) they
+ * also run inside a `BEGIN READ ONLY ... ROLLBACK` transaction. Each run is
+ * limited by a statement timeout and a row cap; large results are read through
+ * a cursor so no more rows than needed leave the server.
  */
-class PostgresIntegration {
+class PostgresIntegration extends DataSourceAdapter {
   #connectionString = null;
-  #client = null;
+  #pool = null;
+  #guard = null;
+  #cassette = null;
+  #source;
+  #maxRows;
+  #statementTimeout;
+  #fetchSize;
+  #typeNames = new Map(Object.entries(POSTGRES_TYPES).map(([oid, name]) => [Number(oid), name]));
+
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.allowedCategories] - Statement categories permitted to run.
+   *   Defaults to read-only, or to every category when POSTGRES_ALLOW_WRITE=true.
+   * @param {Cassette|null} [options.cassette] - Records or replays queries, defaults to CASSETTE_MODE
+   * @param {string} [options.source] - Data source name, stored with cassette interactions to tell sources apart
+   * @param {string} [options.connectionString] - Server to connect to, defaults to POSTGRES_URI
+   * @param {string} [options.sslMode] - One of POSTGRES_SSL_MODES, defaults to POSTGRES_SSL or require
+   * @param {string} [options.sslCa] - CA certificate file for the verify modes, defaults to POSTGRES_SSL_CA
+   * @param {number} [options.poolSize] - Maximum open connections, defaults to POSTGRES_POOL_SIZE or 5
+   * @param {number} [options.maxRows] - Rows returned per statement, defaults to POSTGRES_MAX_ROWS or 1000
+   * @param {number} [options.statementTimeout] - statement_timeout in milliseconds, defaults to
+   *   POSTGRES_STATEMENT_TIMEOUT_MS or 30000; 0 disables it
+   * @param {number} [options.fetchSize=500] - Rows fetched from a cursor at a time
+   */
+  constructor(options = {}) {
+    super();
 
-  constructor() {
-    this.#connectionString = process.env.POSTGRES_URI;
+    const {
+      allowedCategories = SqlGuard.categoriesFromEnv('POSTGRES_ALLOW_WRITE'),
+      cassette = Cassette.fromEnv(),
+      source,
+      connectionString = process.env.POSTGRES_URI,
+      sslMode = process.env.POSTGRES_SSL ?? 'require',
+      sslCa = process.env.POSTGRES_SSL_CA,
+      poolSize = process.env.POSTGRES_POOL_SIZE ?? 5,
+      maxRows = process.env.POSTGRES_MAX_ROWS ?? 1000,
+      statementTimeout = process.env.POSTGRES_STATEMENT_TIMEOUT_MS ?? 30000,
+      fetchSize = 500
+    } = options;
+
+    this.#guard = new SqlGuard({ allowedCategories });
+    this.#cassette = cassette;
+    this.#source = source;
+    this.#maxRows = integerSetting('POSTGRES_MAX_ROWS', maxRows);
+    this.#statementTimeout = integerSetting('POSTGRES_STATEMENT_TIMEOUT_MS', statementTimeout);
+    this.#fetchSize = integerSetting('fetchSize', fetchSize, 1);
+
+    // Replayed sessions never reach the server
+    if (this.#cassette?.replaying) return;
+
+    this.#connectionString = connectionString;
     if (!this.#connectionString) {
       throw new Error('❌ POSTGRES_URI not found in environment variables');
     }
-    this.#client = new Client({
+    this.#pool = new Pool({
       connectionString: this.#connectionString,
-      ssl: {
-        rejectUnauthorized: false
-      }
+      ssl: PostgresIntegration.#sslOptions(sslMode, sslCa),
+      max: integerSetting('POSTGRES_POOL_SIZE', poolSize, 1),
+      idleTimeoutMillis: 30000
+    });
+    // An idle connection dropped by the server must not crash the chat
+    this.#pool.on('error', (error) => {
+      console.warn(chalk.yellow('⚠️ PostgreSQL connection lost:'), error.message);
     });
   }
 
-  async #connect() {
-    // The client instance has a _connected property.
-    if (!this.#client._connected) {
-      await this.#client.connect();
+  /**
+   * Turns an SSL mode and CA file into pg's TLS options
+   * @private
+   */
+  static #sslOptions(mode, caFile) {
+    if (!POSTGRES_SSL_MODES.includes(mode)) {
+      throw new Error(`❌ Unknown PostgreSQL SSL mode: ${mode}. Expected one of ${POSTGRES_SSL_MODES.join(', ')}`);
     }
-  }
+    if (mode === 'disable') return false;
 
-  async #disconnect() {
-    if (this.#client._connected) {
-      await this.#client.end();
+    const ssl = { rejectUnauthorized: mode !== 'require' };
+    if (caFile) {
+      try {
+        ssl.ca = readFileSync(caFile, 'utf8');
+      } catch (error) {
+        throw new Error(`❌ Could not read the PostgreSQL CA file: ${error.message}`);
+      }
     }
+    // verify-ca trusts any host name as long as the chain is valid
+    if (mode === 'verify-ca') ssl.checkServerIdentity = () => undefined;
+    return ssl;
+  }
+
+  get dialect() {
+    return 'PostgreSQL';
+  }
+
+  /**
+   * Whether only read statements may run, as set by allowedCategories
+   * @returns {boolean}
+   */
+  get readOnly() {
+    return this.#guard.readOnly;
   }
 
   /**
    * Executes a SQL query and returns the results.
+   * Every statement is checked by the guard before anything is sent to the server.
    * @param {string} sql - The SQL query to execute.
-   * @returns {Promise<any>} The query result.
+   * @param {object} [options]
+   * @param {number} [options.maxRows] - Overrides the row cap for this query (Infinity for none)
+   * @param {number} [options.statementTimeout] - Overrides the statement timeout for this query
+   * @param {AbortSignal} [options.signal] - Cancels the running statement (pg_cancel_backend)
+   * @returns {Promise<object|Array<object>>} `{ rows, columns, rowCount, truncated }` where `columns` are
+   *   `{ name, type, typeId }`, or an array of those when the input holds several statements.
+   * @throws {SqlGuardError} When a statement is outside the allowed categories.
+   * @throws {QueryError} When the database fails the query, with its SQLSTATE and error position
+   * @throws {Error} An AbortError when cancelled
    * @example
    * const pg = new PostgresIntegration();
-   * const result = await pg.executeQuery('SELECT * FROM users;');
+   * const { rows, columns } = await pg.executeQuery('SELECT * FROM users;');
    */
-  async executeQuery(sql) {
+  async executeQuery(sql, options = {}) {
+    return intercept(this.#cassette, 'postgres', { source: this.#source, sql }, () => this.#executeQuery(sql, options));
+  }
+
+  async #executeQuery(sql, options) {
+    const statements = this.#guard.assert(sql);
+    const { maxRows = this.#maxRows, statementTimeout = this.#statementTimeout, signal } = options;
+
+    let client;
+    let broken = false;
+    let onAbort;
+    let failing = null;
     try {
-      await this.#connect();
-      const result = await this.#client.query(sql);
-      return result.rows;
+      if (signal?.aborted) throw abortError();
+      client = await this.#pool.connect();
+      // The server stops the running statement and the transaction rolls back as for any error
+      onAbort = () => {
+        this.#pool.query('SELECT pg_cancel_backend($1)', [client.processID]).catch(() => {});
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      await client.query(this.#guard.readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+
+      const results = [];
+      try {
+        if (statementTimeout > 0) {
+          await client.query(`SET LOCAL statement_timeout = ${Math.floor(statementTimeout)}`);
+        }
+        for (const [index, statement] of statements.entries()) {
+          failing = { statement: statement.statement, number: index + 1 };
+          results.push(await this.#run(client, statement, maxRows));
+        }
+        failing = null;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {
+          broken = true;
+        });
+        throw error;
+      }
+
+      // Read-only work never needs to be committed
+      await client.query(this.#guard.readOnly ? 'ROLLBACK' : 'COMMIT');
+
+      return results.length === 1 ? results[0] : results;
     } catch (error) {
-      console.error(chalk.red('❌ Query execution failed:'), error.message);
-      throw error;
+      if (signal?.aborted) throw abortError();
+      throw QueryError.from(error, {
+        // Server errors carry their SQLSTATE as code; connection errors have Node codes such as ECONNREFUSED
+        sqlState: SQLSTATE.test(error.code ?? '') ? error.code : undefined,
+        statement: failing?.statement,
+        statementNumber: statements.length > 1 ? failing?.number : undefined,
+        position: error.position ? Number(error.position) : undefined,
+        hint: error.hint,
+        detail: error.detail
+      });
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      // A connection that could not roll back is discarded instead of returned to the pool
+      client?.release(broken);
     }
   }
 
   /**
-   * Closes the database connection.
+   * Runs one statement. Row-returning queries go through a cursor and stop one
+   * row past the cap, which is how truncation is detected.
+   * @private
+   */
+  async #run(client, { statement, keyword, category }, maxRows) {
+    let rows;
+    let fields;
+
+    if (category === 'read' && CURSOR_KEYWORDS.has(keyword.toUpperCase()) && Number.isFinite(maxRows)) {
+      const declare = `DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR `;
+      try {
+        await client.query(declare + statement);
+      } catch (error) {
+        // Error positions count from the start of the DECLARE, not of the statement
+        if (error.position) error.position = String(Number(error.position) - declare.length);
+        throw error;
+      }
+      rows = [];
+      while (rows.length <= maxRows) {
+        const count = Math.min(this.#fetchSize, maxRows + 1 - rows.length);
+        const batch = await client.query(`FETCH FORWARD ${count} FROM ${CURSOR_NAME}`);
+        fields = batch.fields;
+        rows.push(...batch.rows);
+        if (batch.rows.length < count) break;
+      }
+      await client.query(`CLOSE ${CURSOR_NAME}`);
+    } else {
+      const result = await client.query(statement);
+      rows = result.rows ?? [];
+      fields = result.fields ?? [];
+    }
+
+    const truncated = rows.length > maxRows;
+    if (truncated) rows = rows.slice(0, maxRows);
+
+    return {
+      rows,
+      columns: await this.#columnsOf(client, fields),
+      rowCount: rows.length,
+      truncated
+    };
+  }
+
+  /**
+   * Column names with readable type names; OIDs not in POSTGRES_TYPES (domains,
+   * enums, extension types) are resolved once with format_type() and cached
+   * @private
+   */
+  async #columnsOf(client, fields = []) {
+    const unknown = [...new Set(fields.map(({ dataTypeID }) => dataTypeID))]
+      .filter(oid => !this.#typeNames.has(oid));
+
+    if (unknown.length > 0) {
+      try {
+        const { rows } = await client.query(
+          'SELECT oid::int AS oid, format_type(oid, NULL) AS name FROM pg_type WHERE oid = ANY($1::oid[])',
+          [unknown]
+        );
+        rows.forEach(({ oid, name }) => this.#typeNames.set(oid, name));
+      } catch (error) {
+        // Type names are cosmetic; the OID is still reported
+      }
+    }
+
+    return fields.map(({ name, dataTypeID }) => ({
+      name,
+      type: this.#typeNames.get(dataTypeID) ?? `oid:${dataTypeID}`,
+      typeId: dataTypeID
+    }));
+  }
+
+  /**
+   * Lists tables, views and foreign tables with their columns, primary keys and foreign keys
+   * @returns {Promise<{tables: Array<object>}>}
+   */
+  async describeSchema() {
+    // The catalog needs every row, not the capped result the model gets
+    const { rows: columns } = await this.executeQuery(POSTGRES_COLUMNS_SQL, { maxRows: Infinity });
+    const { rows: constraints } = await this.executeQuery(POSTGRES_CONSTRAINTS_SQL, { maxRows: Infinity });
+
+    const keys = constraints.flatMap(constraint => constraint.columns.map((column, index) => ({
+      schema: constraint.schema,
+      table: constraint.table,
+      column,
+      primaryKey: constraint.type === 'p',
+      references: constraint.type === 'f'
+        ? `${constraint.ref_schema}.${constraint.ref_table}.${constraint.ref_columns[index] ?? '?'}`
+        : null
+    })));
+
+    return {
+      tables: groupTables(columns.map(row => ({
+        schema: row.schema,
+        table: row.table,
+        kind: POSTGRES_KINDS[row.kind] ?? 'table',
+        column: row.column,
+        type: row.type,
+        nullable: !row.not_null,
+        tableComment: row.table_comment,
+        columnComment: row.column_comment
+      })), keys)
+    };
+  }
+
+  /**
+   * Classifies the SQL without executing it.
+   * @param {string} sql - The SQL to inspect.
+   * @returns {Array<object>} One entry per statement with its category and whether it is allowed.
+   */
+  inspectQuery(sql) {
+    return this.#guard.inspect(sql);
+  }
+
+  /**
+   * Checks that the server answers
+   * @returns {Promise<number>} Round trip in milliseconds
+   */
+  async ping() {
+    const startedAt = Date.now();
+    await this.#pool.query('SELECT 1');
+    return Date.now() - startedAt;
+  }
+
+  /**
+   * Connection counts of the pool
+   * @returns {{total: number, idle: number, waiting: number}}
+   */
+  get poolStats() {
+    return {
+      total: this.#pool?.totalCount ?? 0,
+      idle: this.#pool?.idleCount ?? 0,
+      waiting: this.#pool?.waitingCount ?? 0
+    };
+  }
+
+  /**
+   * Closes every pooled connection.
    */
   async close() {
-    if (this.#client && this.#client._connected) {
-      await this.#client.end();
+    if (this.#pool && !this.#pool.ended) {
+      await this.#pool.end();
     }
   }
 }
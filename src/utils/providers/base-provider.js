@@ -0,0 +1,86 @@
+import { estimateTokens } from '../tokens.js';
+
+/**
+ * Base class for LLM providers
+ *
+ * Every provider accepts the same request shape and streams normalized chunks:
+ *
+ * - request: `{ model, contents, config, signal }` where `contents` is an array of prompt
+ *   strings or Gemini-style `{ role, parts: [{ text }] }` messages, `config`
+ *   holds Gemini generation settings (maxOutputTokens, temperature, topP, seed, ...)
+ *   and the optional AbortSignal `signal` cancels the request
+ * - chunk: `{ text, functionCalls, finishReason, blockReason, usageMetadata, raw }`, where `text` may be
+ *   undefined for chunks that carry no text, `finishReason` uses Gemini's values (STOP, MAX_TOKENS,
+ *   SAFETY, ...), `blockReason` is set when the prompt itself was blocked and `raw` is the provider's own chunk
+ * - errors: HTTP failures carry the response `status`, and `retryAfterMs` when the service asked for a delay
+ *
+ * Providers that support tools (see `supportsTools`) also accept `tools` and
+ * `toolConfig` in `config` and `functionCall`/`functionResponse` parts in `contents`,
+ * and report the calls of a chunk as `functionCalls: [{ id, name, args, thoughtSignature }]`.
+ */
+class LLMProvider {
+    /**
+     * Short provider name shown to the user
+     * @returns {string}
+     */
+    get name() {
+        throw new Error(`${this.constructor.name} must implement name`);
+    }
+
+    /**
+     * Whether the provider accepts function declarations and returns function calls
+     * @returns {boolean}
+     */
+    get supportsTools() {
+        return false;
+    }
+
+    /**
+     * Streams the model's answer
+     * @param {object} request - `{ model, contents, config }`
+     * @returns {Promise<AsyncIterable<object>>} Normalized chunks
+     */
+    async generateContentStream(request) {
+        throw new Error(`${this.constructor.name} must implement generateContentStream`);
+    }
+
+    /**
+     * Generates the full answer by collecting the stream
+     * @param {object} request - `{ model, contents, config }`
+     * @returns {Promise<{text: string, functionCalls: Array<object>, finishReason: (string|undefined), usageMetadata: (object|undefined)}>}
+     */
+    async generateContent(request) {
+        const stream = await this.generateContentStream(request);
+        let text = '';
+        const functionCalls = [];
+        let finishReason;
+        let usageMetadata;
+
+        for await (const chunk of stream) {
+            text += chunk.text ?? '';
+            functionCalls.push(...(chunk.functionCalls ?? []));
+            finishReason = chunk.finishReason ?? finishReason;
+            usageMetadata = chunk.usageMetadata ?? usageMetadata;
+        }
+
+        return { text, functionCalls, finishReason, usageMetadata };
+    }
+
+    /**
+     * Counts the tokens of a request's contents. Providers without a tokenizer
+     * endpoint fall back to an estimate.
+     * @param {object} request - `{ model, contents }`
+     * @returns {Promise<number>}
+     */
+    async countTokens(request) {
+        const text = request.contents
+            .map(content => typeof content === 'string'
+                ? content
+                : (content.parts ?? []).map(part => part.text
+                    ?? JSON.stringify(part.functionCall ?? part.functionResponse ?? '')).join(''))
+            .join('\n');
+        return estimateTokens(text);
+    }
+}
+
+export default LLMProvider;
@@ -0,0 +1,104 @@
+import { GoogleGenAI } from '@google/genai';
+import LLMProvider from './base-provider.js';
+
+/**
+ * Gemini provider
+ * Talks to Gemini through Vertex AI (project/location with application default
+ * credentials) or through the Gemini API with an API key.
+ */
+class GeminiProvider extends LLMProvider {
+    #ai;
+    #vertexai;
+
+    static DEFAULT_CONFIG = {
+        location: 'global'
+    };
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.vertexai=true] - Use Vertex AI instead of the Gemini API
+     * @param {string} [options.project] - Vertex AI project, defaults to GOOGLE_CLOUD_PROJECT
+     * @param {string} [options.location] - Vertex AI location, defaults to GOOGLE_CLOUD_LOCATION
+     * @param {string} [options.apiKey] - Gemini API key, defaults to GEMINI_API_KEY
+     * @param {string} [options.baseUrl] - API endpoint, defaults to GEMINI_BASE_URL or Google's;
+     *   point it at a local stub server to exercise failures
+     */
+    constructor(options = {}) {
+        super();
+
+        const {
+            vertexai = true,
+            project = process.env.GOOGLE_CLOUD_PROJECT,
+            location = process.env.GOOGLE_CLOUD_LOCATION ?? GeminiProvider.DEFAULT_CONFIG.location,
+            apiKey = process.env.GEMINI_API_KEY,
+            baseUrl = process.env.GEMINI_BASE_URL
+        } = options;
+
+        if (!vertexai && !apiKey) {
+            throw new Error('❌ GEMINI_API_KEY not found in environment variables');
+        }
+        if (vertexai && !project) {
+            throw new Error('❌ GOOGLE_CLOUD_PROJECT not found in environment variables; set it to your Vertex AI project, '
+                + 'or use LLM_PROVIDER=gemini with GEMINI_API_KEY');
+        }
+
+        this.#vertexai = vertexai;
+        const httpOptions = baseUrl ? { httpOptions: { baseUrl } } : {};
+        this.#ai = vertexai
+            ? new GoogleGenAI({ vertexai: true, project, location, ...httpOptions })
+            : new GoogleGenAI({ apiKey, ...httpOptions });
+    }
+
+    get name() {
+        return this.#vertexai ? 'vertex' : 'gemini';
+    }
+
+    /**
+     * The underlying @google/genai client
+     * @returns {GoogleGenAI}
+     */
+    get client() {
+        return this.#ai;
+    }
+
+    get supportsTools() {
+        return true;
+    }
+
+    async countTokens(request) {
+        const { totalTokens } = await this.#ai.models.countTokens({
+            model: request.model,
+            contents: request.contents
+        });
+        return totalTokens;
+    }
+
+    async generateContentStream(request) {
+        const { signal, ...rest } = request;
+        const stream = await this.#ai.models.generateContentStream({
+            ...rest,
+            config: { ...rest.config, ...(signal ? { abortSignal: signal } : {}) }
+        });
+
+        return (async function* () {
+            for await (const chunk of stream) {
+                // Read from the parts, as the SDK's text getter warns about function calls
+                const parts = chunk.candidates?.[0]?.content?.parts ?? [];
+                const textParts = parts.filter(part => typeof part.text === 'string' && !part.thought);
+                const functionCalls = parts
+                    .filter(part => part.functionCall)
+                    .map(({ functionCall, thoughtSignature }) => ({ ...functionCall, ...(thoughtSignature ? { thoughtSignature } : {}) }));
+                yield {
+                    text: textParts.length > 0 ? textParts.map(part => part.text).join('') : undefined,
+                    functionCalls: functionCalls.length > 0 ? functionCalls : undefined,
+                    finishReason: chunk.candidates?.[0]?.finishReason,
+                    blockReason: chunk.promptFeedback?.blockReason,
+                    usageMetadata: chunk.usageMetadata,
+                    raw: chunk
+                };
+            }
+        })();
+    }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,30 @@
+import GeminiProvider from './gemini-provider.js';
+import OpenAICompatibleProvider from './openai-compatible-provider.js';
+import MockProvider from './mock-provider.js';
+
+/**
+ * Provider names accepted by createProvider (and LLM_PROVIDER)
+ */
+export const PROVIDERS = Object.freeze({
+    vertex: (options) => new GeminiProvider({ ...options, vertexai: true }),
+    gemini: (options) => new GeminiProvider({ ...options, vertexai: false }),
+    openai: (options) => new OpenAICompatibleProvider(options),
+    mock: (options) => new MockProvider(options)
+});
+
+/**
+ * Creates an LLM provider by name
+ * @param {string} name - One of the PROVIDERS keys
+ * @param {object} [options] - Provider specific options
+ * @returns {LLMProvider}
+ */
+export const createProvider = (name, options = {}) => {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`❌ Unknown LLM provider: ${name}. Expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+};
+
+export { default as LLMProvider } from './base-provider.js';
+export { GeminiProvider, OpenAICompatibleProvider, MockProvider };
@@ -0,0 +1,106 @@
+import { readFileSync } from 'fs';
+import LLMProvider from './base-provider.js';
+
+/**
+ * Scripted mock provider
+ * Answers with a predefined list of responses, in order, without any network.
+ * Useful for offline runs and for exercising the agent loop deterministically.
+ */
+class MockProvider extends LLMProvider {
+    #responses;
+    #requests = [];
+
+    /**
+     * @param {object} [options]
+     * @param {Array<string|object|Function>} [options.responses] - Scripted answers. Each entry is
+     *   a string, a `{ text, functionCalls, finishReason, usageMetadata }` object, or a function receiving
+     *   the request and returning either. Defaults to the JSON array in the MOCK_RESPONSES_FILE file.
+     *   `functionCalls` are `{ name, args }` objects returned with the last chunk. An `{ error }` entry
+     *   with `{ message, status, code }` makes the request fail instead, e.g. `{ "error": { "status": 429 } }`.
+     */
+    constructor(options = {}) {
+        super();
+
+        const { responses = MockProvider.#responsesFromEnv() } = options;
+        this.#responses = [...responses];
+    }
+
+    /**
+     * Loads scripted responses from MOCK_RESPONSES_FILE
+     * @private
+     */
+    static #responsesFromEnv() {
+        const file = process.env.MOCK_RESPONSES_FILE;
+        if (!file) return [];
+        return JSON.parse(readFileSync(file, 'utf8'));
+    }
+
+    get name() {
+        return 'mock';
+    }
+
+    get supportsTools() {
+        return true;
+    }
+
+    /**
+     * Requests received so far, for assertions
+     * @returns {Array<object>}
+     */
+    get requests() {
+        return [...this.#requests];
+    }
+
+    /**
+     * Number of scripted responses not yet served
+     * @returns {number}
+     */
+    get remaining() {
+        return this.#responses.length;
+    }
+
+    async generateContentStream(request) {
+        this.#requests.push(request);
+
+        if (this.#responses.length === 0) {
+            throw new Error('Mock provider has no scripted response left');
+        }
+
+        let next = this.#responses.shift();
+        if (typeof next === 'function') {
+            next = await next(request);
+        }
+
+        if (next?.error) {
+            const { message = `Mock failure${next.error.status ? ` (HTTP ${next.error.status})` : ''}`, ...details } = next.error;
+            throw Object.assign(new Error(message), details);
+        }
+
+        const { text = '', functionCalls, finishReason = 'STOP', usageMetadata } = typeof next === 'string' ? { text: next } : next;
+
+        // Stream line by line so consumers see several chunks like with a real backend
+        const pieces = text.match(/[^\n]*\n|[^\n]+$/g) ?? [''];
+
+        const { signal } = request;
+
+        return (async function* () {
+            for (const [index, piece] of pieces.entries()) {
+                if (signal?.aborted) {
+                    const error = new Error('Generation cancelled');
+                    error.name = 'AbortError';
+                    throw error;
+                }
+                const last = index === pieces.length - 1;
+                yield {
+                    text: piece,
+                    functionCalls: last ? functionCalls : undefined,
+                    finishReason: last ? finishReason : undefined,
+                    usageMetadata: last ? usageMetadata : undefined,
+                    raw: { text: piece }
+                };
+            }
+        })();
+    }
+}
+
+export default MockProvider;
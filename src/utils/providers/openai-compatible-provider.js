@@ -0,0 +1,152 @@
+import LLMProvider from './base-provider.js';
+
+const FINISH_REASONS = {
+    stop: 'STOP',
+    length: 'MAX_TOKENS',
+    content_filter: 'SAFETY',
+    tool_calls: 'STOP',
+    function_call: 'STOP'
+};
+
+/**
+ * Converts Gemini-style contents into chat completion messages
+ * @param {Array<string|object>} contents - Prompt strings or `{ role, parts }` messages
+ * @param {object} config - Generation config, may contain `systemInstruction`
+ * @returns {Array<{role: string, content: string}>}
+ */
+const toMessages = (contents, config) => {
+    const messages = [];
+    const textOf = (value) => typeof value === 'string'
+        ? value
+        : (value.parts ?? []).map(part => part.text ?? '').join('');
+
+    if (config.systemInstruction) {
+        messages.push({ role: 'system', content: textOf(config.systemInstruction) });
+    }
+
+    for (const content of contents) {
+        if (typeof content === 'string') {
+            messages.push({ role: 'user', content });
+        } else {
+            messages.push({ role: content.role === 'model' ? 'assistant' : 'user', content: textOf(content) });
+        }
+    }
+
+    return messages;
+};
+
+/**
+ * Converts chat completion usage into Gemini's usageMetadata shape
+ * @param {object} usage - OpenAI usage object
+ * @returns {object|undefined}
+ */
+const toUsageMetadata = (usage) => usage && {
+    promptTokenCount: usage.prompt_tokens,
+    candidatesTokenCount: usage.completion_tokens,
+    cachedContentTokenCount: usage.prompt_tokens_details?.cached_tokens,
+    totalTokenCount: usage.total_tokens
+};
+
+/**
+ * OpenAI-compatible provider
+ * Streams from any `/chat/completions` endpoint: OpenAI itself, or local servers
+ * such as llama.cpp (`llama-server`) and Ollama (`http://localhost:11434/v1`).
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    #baseUrl;
+    #apiKey;
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.baseUrl] - API base URL, defaults to OPENAI_BASE_URL
+     * @param {string} [options.apiKey] - Bearer token, defaults to OPENAI_API_KEY (optional for local servers)
+     */
+    constructor(options = {}) {
+        super();
+
+        const {
+            baseUrl = process.env.OPENAI_BASE_URL ?? 'https://api.openai.com/v1',
+            apiKey = process.env.OPENAI_API_KEY
+        } = options;
+
+        if (typeof fetch !== 'function') {
+            throw new Error(`❌ The OpenAI-compatible provider needs the global fetch of Node.js 18 or later (running ${process.version})`);
+        }
+
+        this.#baseUrl = baseUrl.replace(/\/+$/, '');
+        this.#apiKey = apiKey;
+    }
+
+    get name() {
+        return 'openai';
+    }
+
+    async generateContentStream(request) {
+        const { model, contents, config = {}, signal } = request;
+
+        const body = {
+            model,
+            messages: toMessages(contents, config),
+            stream: true,
+            stream_options: { include_usage: true },
+            max_tokens: config.maxOutputTokens,
+            temperature: config.temperature,
+            top_p: config.topP,
+            seed: config.seed
+        };
+
+        const response = await fetch(`${this.#baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.#apiKey ? { Authorization: `Bearer ${this.#apiKey}` } : {})
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`HTTP ${response.status} ${response.statusText}: ${detail}`.trim());
+            error.status = response.status;
+            const retryAfter = Number(response.headers.get('retry-after'));
+            if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+            throw error;
+        }
+
+        return OpenAICompatibleProvider.#readEvents(response.body);
+    }
+
+    /**
+     * Parses the server-sent event stream into normalized chunks
+     * @private
+     */
+    static async* #readEvents(body) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const bytes of body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+
+                const event = JSON.parse(data);
+                const choice = event.choices?.[0];
+                yield {
+                    text: choice?.delta?.content ?? '',
+                    finishReason: choice?.finish_reason ? FINISH_REASONS[choice.finish_reason] ?? choice.finish_reason : undefined,
+                    usageMetadata: toUsageMetadata(event.usage),
+                    raw: event
+                };
+            }
+        }
+    }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,134 @@
+import chalk from 'chalk';
+import SqlGuard from './sql-guard.js';
+import MongoGuard, { OPERATION_CATEGORIES } from './mongo-guard.js';
+import MongoDBIntegration from './mongodb-integration.js';
+
+/**
+ * Approval modes accepted by `/approve`
+ * - off: queries run without review
+ * - on: every query is reviewed
+ * - auto-read: read-only queries run directly, everything else is reviewed
+ */
+export const APPROVAL_MODES = Object.freeze(['off', 'on', 'auto-read']);
+
+/**
+ * Query Approval Utility
+ * Puts a human in the loop before generated SQL or mongosh scripts are executed.
+ */
+class QueryApproval {
+  #mode;
+  #ask;
+  #sqlGuards = new Map();
+  #mongoGuard = new MongoGuard();
+
+  /**
+   * @param {object} options
+   * @param {Function} options.ask - Async `(question, prefill) => answer` used to talk to the user
+   * @param {string} [options.mode='off'] - One of APPROVAL_MODES
+   */
+  constructor(options) {
+    const { ask, mode = 'off' } = options;
+    this.#ask = ask;
+    this.mode = mode;
+  }
+
+  get mode() {
+    return this.#mode;
+  }
+
+  set mode(mode) {
+    if (!APPROVAL_MODES.includes(mode)) {
+      throw new Error(`Unknown approval mode: ${mode}. Expected one of ${APPROVAL_MODES.join(', ')}`);
+    }
+    this.#mode = mode;
+  }
+
+  /**
+   * Whether a query has to be reviewed under the current mode
+   * @param {{type: string, query: string, dialect: (string|undefined)}} pending - `type` is 'sql' or 'mongodb';
+   *   `dialect` is the SQL dialect of the source (see SQL_DIALECTS), PostgreSQL when missing
+   * @returns {boolean}
+   */
+  requiresApproval({ type, query, dialect }) {
+    switch (this.#mode) {
+      case 'off':
+        return false;
+      case 'auto-read':
+        return !this.#isReadOnly(type, query, dialect);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Shows a pending query and lets the user approve, reject or edit it.
+   * @param {{type: string, query: string, source: (string|undefined), dialect: (string|undefined)}} pending - `type`
+   *   is 'sql' or 'mongodb'; `source` names the data source the query is for and `dialect` its SQL dialect
+   * @returns {Promise<{query: string, approval: (object|null)}>} The query to run and the
+   *   decision to record with the execution entry (null when no review took place)
+   */
+  async review(pending) {
+    const { type, query, source, dialect } = pending;
+
+    if (!this.requiresApproval(pending)) {
+      return { query, approval: null };
+    }
+
+    const label = `${type === 'sql' ? 'SQL query' : 'MongoDB script'}${source ? ` on ${source}` : ''}`;
+    console.log(chalk.cyan(`\n📝 Pending ${label}:`));
+    console.log(chalk.white(query));
+
+    while (true) {
+      const answer = (await this.#ask(chalk.cyan('Approve? [a]pprove / [r]eject / [e]dit: '))).trim().toLowerCase();
+
+      if (['a', 'approve', 'y', 'yes'].includes(answer)) {
+        return { query, approval: { decision: 'approved' } };
+      }
+
+      if (['r', 'reject', 'n', 'no'].includes(answer)) {
+        const reason = (await this.#ask(chalk.cyan('Reason (optional): '))).trim();
+        console.log(chalk.yellow(`🚫 ${label} rejected`));
+        return {
+          query,
+          approval: { decision: 'rejected', reason: reason || 'no reason given' }
+        };
+      }
+
+      if (['e', 'edit'].includes(answer)) {
+        // Editing happens on a single line, so multi-line queries are joined first
+        const prefill = type === 'sql' ? this.#sqlGuard(dialect).toSingleLine(query) : this.#mongoGuard.toSingleLine(query);
+        const edited = (await this.#ask(chalk.cyan('Edit: '), prefill)).trim();
+        if (!edited) continue;
+        console.log(chalk.yellow(`✏️ ${label} edited`));
+        return {
+          query: edited,
+          approval: { decision: 'edited', originalQuery: query }
+        };
+      }
+
+      console.log(chalk.gray('Please answer a, r or e'));
+    }
+  }
+
+  #isReadOnly(type, query, dialect) {
+    if (type === 'sql') {
+      const statements = this.#sqlGuard(dialect).inspect(query);
+      return statements.length > 0 && statements.every(({ allowed }) => allowed);
+    }
+    // Structured operations are judged by their mongosh equivalent
+    const operation = MongoDBIntegration.parseOperation(query);
+    return this.#mongoGuard.inspect(operation ? MongoDBIntegration.toScript(operation) : query).operations
+      .every(({ category }) => category === OPERATION_CATEGORIES.READ);
+  }
+
+  /**
+   * Read-only guard for a SQL dialect, so comments and quoting are scanned as the source does
+   * @private
+   */
+  #sqlGuard(dialect = 'postgresql') {
+    if (!this.#sqlGuards.has(dialect)) this.#sqlGuards.set(dialect, new SqlGuard({ dialect }));
+    return this.#sqlGuards.get(dialect);
+  }
+}
+
+export default QueryApproval;
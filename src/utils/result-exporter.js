@@ -0,0 +1,256 @@
+import { promises as fs } from 'fs';
+import { dirname, extname, join } from 'path';
+import { resultSetsOf, normalizeValue, formatValue } from './result-viewer.js';
+
+const EXPORTS_FOLDER = './exports';
+
+/**
+ * Supported formats and their file extensions
+ */
+export const EXPORT_FORMATS = {
+  csv: 'csv',
+  jsonl: 'jsonl',
+  md: 'md',
+  html: 'html'
+};
+
+const FORMAT_ALIASES = {
+  markdown: 'md',
+  ndjson: 'jsonl'
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Quotes a CSV field when needed (RFC 4180); nulls are written as empty fields
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : formatValue(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const markdownCell = (value) => formatValue(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+const REPORT_STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 72rem; color: #1f2328; }
+  h1 { font-size: 1.5rem; } h2 { font-size: 1.2rem; margin-top: 2rem; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; border-radius: 6px; }
+  table { border-collapse: collapse; font-size: 0.9rem; margin: 0.5rem 0; }
+  th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; } th small { color: #656d76; font-weight: normal; }
+  td.number { text-align: right; } td.null { color: #8c959f; }
+  .answer { white-space: pre-wrap; } .meta { color: #656d76; }`;
+
+/**
+ * Result Exporter
+ * Writes an execution result from the session history to CSV, JSON Lines,
+ * a Markdown table or a standalone HTML report. Values go through the same
+ * normalization as the result viewer so Mongo types look alike in every format.
+ */
+class ResultExporter {
+  #folder;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.folder] - Where files without an explicit path go, defaults to EXPORTS_FOLDER or ./exports
+   */
+  constructor(options = {}) {
+    const { folder = process.env.EXPORTS_FOLDER ?? EXPORTS_FOLDER } = options;
+    this.#folder = folder;
+  }
+
+  /**
+   * Resolves a format name or alias
+   * @param {string} format - e.g. csv, jsonl, md, markdown, html
+   * @returns {string|null}
+   */
+  static formatOf(format = '') {
+    const name = format.toLowerCase();
+    return EXPORT_FORMATS[name] ? name : FORMAT_ALIASES[name] ?? null;
+  }
+
+  /**
+   * Lists the execution entries of a conversation with the question that led to
+   * them and the answer that followed
+   * @param {Array<object>} history - Conversation history
+   * @returns {Array<{number: number, question: string, answer: (string|null), execution: object, timestamp: string}>}
+   */
+  static executions(history) {
+    const executions = [];
+    history.forEach((message, index) => {
+      if (message.role !== 'execution') return;
+      const question = history.slice(0, index).reverse().find(({ role }) => role === 'user');
+      const answer = history.slice(index + 1).find(({ role }) => role === 'assistant' || role === 'user');
+      executions.push({
+        number: executions.length + 1,
+        question: question?.content ?? '',
+        answer: answer?.role === 'assistant' ? answer.content : null,
+        execution: message.content,
+        timestamp: message.timestamp
+      });
+    });
+    return executions;
+  }
+
+  /**
+   * Exports an execution result
+   * @param {Array<object>} history - Conversation history
+   * @param {object} options
+   * @param {string} options.format - csv, jsonl, md or html
+   * @param {string} [options.file] - Target file; defaults to a timestamped file in the exports folder
+   * @param {number} [options.number] - Execution to export (see `executions`), defaults to the last one with results
+   * @param {string} [options.name='session'] - Prefix of generated file names
+   * @returns {Promise<string[]>} Files written; CSV and JSON Lines get one file per result set
+   * @throws {Error} When the format is unknown or there is nothing to export
+   */
+  async export(history, options) {
+    const { file, number, name = 'session' } = options;
+    const format = ResultExporter.formatOf(options.format);
+    if (!format) {
+      throw new Error(`Unknown export format "${options.format}": use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const executions = ResultExporter.executions(history);
+    const selected = number !== undefined
+      ? executions.find(entry => entry.number === number)
+      : [...executions].reverse().find(entry => resultSetsOf(entry.execution).some(({ kind }) => kind === 'table'));
+    if (!selected) {
+      throw new Error(number !== undefined ? `No execution #${number} in this session` : 'No query results to export yet');
+    }
+
+    const resultSets = resultSetsOf(selected.execution);
+    const tables = resultSets.filter(({ kind }) => kind === 'table');
+    const target = file ?? join(this.#folder, `${name}-${selected.timestamp.replace(/[:.]/g, '-')}.${format}`);
+
+    if (format === 'html') {
+      return [await ResultExporter.#write(target, ResultExporter.#html(selected, resultSets))];
+    }
+    if (tables.length === 0) {
+      throw new Error(`Execution #${selected.number} has no tabular results`);
+    }
+    if (format === 'md') {
+      return [await ResultExporter.#write(target, ResultExporter.#markdown(tables))];
+    }
+
+    // CSV and JSON Lines hold a single table, so several result sets go to separate files
+    const render = format === 'csv' ? ResultExporter.#csv : ResultExporter.#jsonLines;
+    const written = [];
+    for (const table of tables) {
+      const extension = extname(target);
+      const path = tables.length > 1
+        ? `${target.slice(0, target.length - extension.length)}.${table.label.replace(/\W+/g, '-')}${extension}`
+        : target;
+      written.push(await ResultExporter.#write(path, render(table)));
+    }
+    return written;
+  }
+
+  static async #write(path, content) {
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(path, content);
+    return path;
+  }
+
+  static #csv({ rows, columns }) {
+    const lines = [columns.map(({ name }) => csvField(name)).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(({ name }) => csvField(row[name])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * One JSON document per line; documents keep their nesting
+   * @private
+   */
+  static #jsonLines({ rows }) {
+    return rows.map(row => JSON.stringify(normalizeValue(ResultExporter.#unflatten(row)))).join('\n') + '\n';
+  }
+
+  static #unflatten(row) {
+    const document = {};
+    for (const [path, value] of Object.entries(row)) {
+      const keys = path.split('.');
+      let target = document;
+      keys.slice(0, -1).forEach(key => {
+        target = target[key] ??= {};
+      });
+      target[keys[keys.length - 1]] = value;
+    }
+    return document;
+  }
+
+  static #markdown(tables) {
+    return tables.map(({ label, rows, columns }) => {
+      const lines = [
+        `| ${columns.map(({ name }) => markdownCell(name)).join(' | ')} |`,
+        `| ${columns.map(({ numeric }) => numeric ? '---:' : '---').join(' | ')} |`,
+        ...rows.map(row => `| ${columns.map(({ name }) => markdownCell(row[name])).join(' | ')} |`)
+      ];
+      return tables.length > 1 ? `### ${label}\n\n${lines.join('\n')}` : lines.join('\n');
+    }).join('\n\n') + '\n';
+  }
+
+  static #html({ number, question, answer, timestamp }, resultSets) {
+    const sections = resultSets.map(resultSet => {
+      const parts = [`<h2>${escapeHtml(resultSet.label)}</h2>`];
+      if (resultSet.query) parts.push(`<pre><code>${escapeHtml(resultSet.query)}</code></pre>`);
+
+      switch (resultSet.kind) {
+        case 'rejected':
+          parts.push(`<p class="meta">Rejected${resultSet.reason ? `: ${escapeHtml(resultSet.reason)}` : ''}</p>`);
+          break;
+        case 'error':
+          parts.push(`<p class="meta">Error: ${escapeHtml(resultSet.message)}</p>`);
+          break;
+        case 'text':
+          parts.push(`<pre>${escapeHtml(resultSet.text)}</pre>`);
+          break;
+        case 'value':
+          parts.push(`<p>${escapeHtml(formatValue(resultSet.value))}</p>`);
+          break;
+        default: {
+          const { rows, columns } = resultSet;
+          const header = columns
+            .map(({ name, type }) => `<th>${escapeHtml(name)}<br><small>${escapeHtml(type)}</small></th>`)
+            .join('');
+          const body = rows.map(row => '<tr>' + columns.map(({ name, numeric }) => {
+            const value = row[name];
+            const className = value === null || value === undefined ? 'null' : numeric ? 'number' : '';
+            return `<td${className ? ` class="${className}"` : ''}>${escapeHtml(formatValue(value))}</td>`;
+          }).join('') + '</tr>').join('\n');
+          const truncated = resultSet.truncated ? ' (truncated)' : '';
+          parts.push(`<p class="meta">${rows.length} ${rows.length === 1 ? 'row' : 'rows'}${truncated}</p>`);
+          parts.push(`<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`);
+        }
+      }
+      return parts.join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Query report #${number}</title>
+<style>${REPORT_STYLE}
+</style>
+</head>
+<body>
+<h1>Query report #${number}</h1>
+<p class="meta">${escapeHtml(timestamp)}</p>
+<h2>Question</h2>
+<p>${escapeHtml(question)}</p>
+${sections.join('\n')}
+<h2>Answer</h2>
+<div class="answer">${answer ? escapeHtml(answer) : '<span class="meta">(no answer recorded)</span>'}</div>
+</body>
+</html>
+`;
+  }
+}
+
+export default ResultExporter;
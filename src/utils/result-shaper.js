@@ -0,0 +1,183 @@
+import { resultSetOf, normalizeValue, relaxValue } from './result-viewer.js';
+
+// Longest value quoted in column statistics
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Whether a result holds one row set per statement, as SQL adapters return for several statements
+ */
+const isStatementList = (result) => Array.isArray(result) && result.length > 0
+  && result.every(item => Array.isArray(item) || (item && Array.isArray(item.rows) && Array.isArray(item.columns)));
+
+/**
+ * A value as quoted in statistics: objects become JSON and long text is cut
+ */
+const quote = (value) => {
+  const text = typeof value === 'object' ? JSON.stringify(value) : value;
+  return typeof text === 'string' && text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+/**
+ * Result Shaper
+ * Keeps large query results from flooding the prompt. Up to the thresholds a
+ * result goes to the model as it is; above them the rows are replaced by a
+ * sample, the row count, per-column statistics and a note asking the model to
+ * aggregate in the query instead. Only the prompt is shaped: the session keeps
+ * the full result for the viewer and exports.
+ */
+class ResultShaper {
+  #maxRows;
+  #maxChars;
+  #sampleRows;
+  #topValues;
+
+  static DEFAULT_CONFIG = {
+    maxRows: 50,
+    maxChars: 8000,
+    sampleRows: 10,
+    topValues: 5
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxRows] - Rows sent as they are, defaults to RESULT_MAX_ROWS or 50
+   * @param {number} [options.maxChars] - JSON length sent as it is, defaults to RESULT_MAX_CHARS or 8000
+   * @param {number} [options.sampleRows] - Rows kept in the sample, defaults to RESULT_SAMPLE_ROWS or 10
+   * @param {number} [options.topValues] - Most frequent values listed per column, defaults to 5
+   */
+  constructor(options = {}) {
+    const {
+      maxRows = Number(process.env.RESULT_MAX_ROWS ?? ResultShaper.DEFAULT_CONFIG.maxRows),
+      maxChars = Number(process.env.RESULT_MAX_CHARS ?? ResultShaper.DEFAULT_CONFIG.maxChars),
+      sampleRows = Number(process.env.RESULT_SAMPLE_ROWS ?? ResultShaper.DEFAULT_CONFIG.sampleRows),
+      topValues = ResultShaper.DEFAULT_CONFIG.topValues
+    } = options;
+
+    this.#maxRows = maxRows;
+    this.#maxChars = maxChars;
+    this.#sampleRows = sampleRows;
+    this.#topValues = topValues;
+  }
+
+  /**
+   * Shapes every entry of an execution
+   * @param {object} execution - Execution entry keyed by block and source (`1:analytics`)
+   * @returns {object} The execution as the model sees it
+   */
+  shapeExecution(execution) {
+    return Object.fromEntries(Object.entries(execution).map(([key, entry]) => [key, this.shapeEntry(entry)]));
+  }
+
+  /**
+   * Shapes the result of one execution entry; errors and rejections are left alone
+   * @param {object} entry - `{ query, result }`, `{ query, error }` or a rejected entry
+   * @returns {object}
+   */
+  shapeEntry(entry) {
+    if (!entry || entry.result === undefined) return entry;
+    const result = isStatementList(entry.result)
+      ? entry.result.map(statement => this.shape(statement))
+      : this.shape(entry.result);
+    return { ...entry, result };
+  }
+
+  /**
+   * Shapes the result of one statement. Mongo values reach the model as relaxed
+   * Extended JSON; column types are still taken from the canonical values.
+   * @param {any} result - SQL row set, Mongo documents, a value or text
+   * @returns {any} The (relaxed) result itself when it is small enough, otherwise
+   *   `{ shaped, rowCount, truncated, columns, sample, note }`
+   */
+  shape(result) {
+    const view = resultSetOf(null, null, result);
+    const relaxed = relaxValue(result);
+    if (view.kind !== 'table') return relaxed;
+
+    const json = JSON.stringify(relaxed) ?? '';
+    if (view.rows.length <= this.#maxRows && json.length <= this.#maxChars) return relaxed;
+
+    const records = Array.isArray(relaxed) ? relaxed : Array.isArray(relaxed.rows) ? relaxed.rows : [relaxed];
+    const sample = this.#sample(records);
+    const rowCount = view.rows.length;
+
+    let note = `This result has ${rowCount} rows, too large to include in full: only ${sample.length} sample rows are shown, `
+      + `with statistics of every column computed over all ${rowCount} rows.`;
+    if (view.truncated) note += ` The source stopped at ${rowCount} rows, so the full result is larger.`;
+    note += ' Do not read rows to count, sum or rank; aggregate in the query (COUNT, SUM, GROUP BY, $group, $count) and select only what the answer needs.';
+
+    return {
+      shaped: true,
+      rowCount,
+      ...(view.truncated ? { truncated: true } : {}),
+      columns: view.columns.map(column => this.#describeColumn(column, view.rows)),
+      sample,
+      note
+    };
+  }
+
+  /**
+   * First rows, as many as fit in half the character budget
+   * @private
+   */
+  #sample(records) {
+    const sample = [];
+    let length = 0;
+    for (const record of records.slice(0, this.#sampleRows)) {
+      length += (JSON.stringify(record) ?? '').length + 1;
+      if (length > this.#maxChars / 2) break;
+      sample.push(record);
+    }
+    return sample;
+  }
+
+  /**
+   * Nulls, distinct values, range and most frequent values of one column
+   * @private
+   */
+  #describeColumn({ name, type, numeric }, rows) {
+    const counts = new Map();
+    let nulls = 0;
+    let min;
+    let max;
+
+    for (const row of rows) {
+      const value = normalizeValue(row[name]);
+      if (value === null || value === undefined) {
+        nulls++;
+        continue;
+      }
+
+      const key = typeof value === 'object' ? JSON.stringify(value) : value;
+      const counted = counts.get(key);
+      counts.set(key, { value, count: (counted?.count ?? 0) + 1 });
+
+      // Numbers compare by value (SQL drivers return big numbers as strings), text and dates lexically
+      const comparable = numeric ? Number(value) : value;
+      if (typeof comparable === 'object' || typeof comparable === 'boolean' || Number.isNaN(comparable)) continue;
+      if (min === undefined || (typeof comparable === typeof min.comparable && comparable < min.comparable)) {
+        min = { comparable, value };
+      }
+      if (max === undefined || (typeof comparable === typeof max.comparable && comparable > max.comparable)) {
+        max = { comparable, value };
+      }
+    }
+
+    const description = { name, type, nulls, distinct: counts.size };
+    if (min !== undefined) {
+      description.min = quote(min.value);
+      description.max = quote(max.value);
+    }
+
+    // Only repeated values say something about the distribution
+    const top = [...counts.values()]
+      .filter(({ count }) => count > 1)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.#topValues);
+    if (top.length > 0) {
+      description.top = top.map(({ value, count }) => ({ value: quote(value), count }));
+    }
+    return description;
+  }
+}
+
+export default ResultShaper;
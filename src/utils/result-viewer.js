@@ -0,0 +1,414 @@
+import chalk from 'chalk';
+import MarkdownRenderer, { visibleWidth } from './markdown-renderer.js';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+const NUMERIC_TYPES = new Set(['int', 'float', 'long', 'decimal']);
+// Numeric column types of PostgreSQL, MySQL/MariaDB and SQLite (declared types may carry a size, e.g. decimal(10,2))
+const SQL_NUMERIC_TYPE = /^(int[248]?|integer|tinyint|smallint|mediumint|bigint|float[48]?|double( precision)?|real|numeric|decimal|oid|year)\b/i;
+
+/**
+ * Whether a value is an Extended JSON wrapper such as `{ $oid: ... }` or `{ $date: ... }`
+ */
+const isExtendedJson = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 1 && keys[0].startsWith('$');
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !isExtendedJson(value);
+
+/**
+ * Whether a value is a SQL result with column metadata, `{ rows, columns, rowCount, truncated }`
+ */
+const isRowSet = (value) => isPlainObject(value) && Array.isArray(value.rows) && Array.isArray(value.columns);
+
+/**
+ * Type name shown in column headers
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+export const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  if (isExtendedJson(value)) {
+    const [key] = Object.keys(value);
+    return {
+      $oid: 'objectId',
+      $date: 'date',
+      $numberLong: 'long',
+      $numberInt: 'int',
+      $numberDouble: 'float',
+      $numberDecimal: 'decimal',
+      $timestamp: 'timestamp',
+      $binary: 'binary',
+      $regularExpression: 'regex'
+    }[key] ?? 'object';
+  }
+  switch (typeof value) {
+    case 'number':
+      return Number.isInteger(value) ? 'int' : 'float';
+    case 'boolean':
+      return 'bool';
+    case 'object':
+      return 'object';
+    case 'string':
+      if (ISO_DATE.test(value)) return 'date';
+      return OBJECT_ID.test(value) ? 'objectId' : 'string';
+    default:
+      return typeof value;
+  }
+};
+
+const toNumber = (text) => Number.isSafeInteger(Number(text)) ? Number(text) : String(text);
+
+/**
+ * Converts Mongo types (Extended JSON wrappers, Dates) into plain JSON values so
+ * every view and export writes them the same way: ObjectIds as hex strings,
+ * dates as ISO strings, Longs as numbers (strings beyond 2^53) and decimals as strings
+ * @param {any} value - Cell value or document
+ * @returns {any}
+ */
+export const normalizeValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (isExtendedJson(value)) {
+    const [[key, inner]] = Object.entries(value);
+    switch (key) {
+      case '$oid':
+      case '$numberDecimal':
+        return String(inner);
+      case '$numberLong':
+      case '$numberInt':
+        return toNumber(inner);
+      case '$numberDouble':
+        return Number(inner);
+      case '$date':
+        return typeof inner === 'object' ? new Date(Number(inner.$numberLong)).toISOString() : String(inner);
+      case '$timestamp':
+        return { t: inner.t, i: inner.i };
+      case '$binary':
+        return { base64: inner.base64, subType: inner.subType };
+      default:
+        return value;
+    }
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, normalizeValue(inner)]));
+  }
+  return value;
+};
+
+/**
+ * Converts canonical Extended JSON into relaxed Extended JSON: numbers become
+ * plain JSON numbers where that loses nothing (Longs up to 2^53, finite doubles)
+ * and dates ISO strings, which is shorter to put in a prompt. Other wrappers stay.
+ * @param {any} value - Cell value or document
+ * @returns {any}
+ */
+export const relaxValue = (value) => {
+  if (Array.isArray(value)) return value.map(relaxValue);
+  if (isExtendedJson(value)) {
+    const [[key, inner]] = Object.entries(value);
+    switch (key) {
+      case '$numberInt':
+        return Number(inner);
+      case '$numberLong':
+        return Number.isSafeInteger(Number(inner)) ? Number(inner) : value;
+      case '$numberDouble':
+        return Number.isFinite(Number(inner)) ? Number(inner) : value;
+      case '$date':
+        return typeof inner === 'object' ? { $date: new Date(Number(inner.$numberLong)).toISOString() } : value;
+      default:
+        return value;
+    }
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, relaxValue(inner)]));
+  }
+  return value;
+};
+
+/**
+ * Formats a single value for a table cell
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+export const formatValue = (value) => {
+  if (value === null) return 'null';
+  if (value === undefined) return '';
+  const normalized = normalizeValue(value);
+  return typeof normalized === 'object' ? JSON.stringify(normalized) : String(normalized);
+};
+
+/**
+ * Flattens nested documents into dotted column names; arrays stay a single cell
+ * @param {object} document - Row or document
+ * @param {string} [prefix] - Path of the parent field
+ * @param {object} [row] - Accumulator
+ * @returns {object}
+ */
+export const flattenDocument = (document, prefix = '', row = {}) => {
+  for (const [key, value] of Object.entries(document)) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenDocument(value, `${prefix}${key}.`, row);
+    } else {
+      row[`${prefix}${key}`] = value;
+    }
+  }
+  return row;
+};
+
+const truncate = (text, maxWidth) => {
+  const singleLine = text.replace(/\r?\n/g, '↵');
+  if (visibleWidth(singleLine) <= maxWidth) return singleLine;
+
+  let result = '';
+  let width = 0;
+  for (const char of singleLine) {
+    const charWidth = visibleWidth(char);
+    if (width + charWidth > maxWidth - 1) break;
+    result += char;
+    width += charWidth;
+  }
+  return `${result}…`;
+};
+
+/**
+ * Builds one result set: text output, a single value, or a table of flattened rows
+ * @param {string} label - Name shown above the result
+ * @param {string} query - Query that produced the result
+ * @param {any} result - Row set, documents, value or text of one statement
+ * @returns {object} `{ label, query, kind, ... }`; tables carry `rows` and `columns` as `{ name, type, numeric }`
+ */
+export const resultSetOf = (label, query, result) => {
+  // SQL results bring their own column types; values are shown as they are, JSON included
+  if (isRowSet(result)) {
+    return {
+      label,
+      query,
+      kind: 'table',
+      rows: result.rows,
+      truncated: Boolean(result.truncated),
+      columns: result.columns.map(({ name, type }) => ({ name, type, numeric: SQL_NUMERIC_TYPE.test(type ?? '') }))
+    };
+  }
+  if (typeof result === 'string') {
+    return { label, query, kind: 'text', text: result };
+  }
+  if (!Array.isArray(result) && !isPlainObject(result)) {
+    return { label, query, kind: 'value', value: result };
+  }
+
+  const rows = (Array.isArray(result) ? result : [result])
+    .map(item => isPlainObject(item) ? flattenDocument(item) : { value: item });
+
+  const columns = [];
+  const types = new Map();
+  for (const row of rows) {
+    for (const [name, value] of Object.entries(row)) {
+      if (!types.has(name)) {
+        columns.push(name);
+        types.set(name, new Set());
+      }
+      types.get(name).add(typeOf(value));
+    }
+  }
+
+  return {
+    label,
+    query,
+    kind: 'table',
+    rows,
+    columns: columns.map(name => {
+      let columnTypes = [...types.get(name)];
+      // Whole numbers in a float column are still floats
+      if (columnTypes.includes('int') && columnTypes.includes('float')) {
+        columnTypes = columnTypes.filter(type => type !== 'int');
+      }
+      // Rows without the field count as null
+      if (rows.some(row => !(name in row)) && !columnTypes.includes('null')) columnTypes.push('null');
+      const valueTypes = columnTypes.filter(type => type !== 'null');
+      return {
+        name,
+        type: columnTypes.length > 3 ? 'mixed' : columnTypes.join('|'),
+        numeric: valueTypes.length > 0 && valueTypes.every(type => NUMERIC_TYPES.has(type))
+      };
+    })
+  };
+};
+
+/**
+ * Splits an execution entry into result sets: one per block, or one per
+ * statement when several SQL statements ran. Rejected and failed queries
+ * become `rejected` and `error` entries; tables carry flattened rows and
+ * typed columns.
+ * @param {object} execution - Execution entry keyed by block and source (`1:analytics`), each with `query` and `result`/`error`/`approval`
+ * @returns {Array<object>}
+ */
+export const resultSetsOf = (execution) => Object.entries(execution).flatMap(([source, entry]) => {
+  const { query, result } = entry;
+  if (entry.approval?.decision === 'rejected') {
+    return [{ label: source, query, kind: 'rejected', reason: entry.approval.reason }];
+  }
+  if (entry.error) {
+    return [{ label: source, query, kind: 'error', message: entry.error.message ?? String(entry.error) }];
+  }
+
+  // Several SQL statements return one row set each
+  if (Array.isArray(result) && result.length > 0 && result.every(item => Array.isArray(item) || isRowSet(item))) {
+    return result.map((rows, index) => resultSetOf(`${source} #${index + 1}`, query, rows));
+  }
+  return [resultSetOf(source, query, result)];
+});
+
+/**
+ * Result Viewer
+ * Shows query execution results as aligned tables instead of raw JSON.
+ * Mongo documents are flattened into dotted columns, every column carries a
+ * type hint, wide cells are truncated and large results are paged; the last
+ * execution stays available for `/more`, `/page n` and the raw JSON view.
+ */
+class ResultViewer {
+  #markdown;
+  #pageSize;
+  #maxCellWidth;
+  #raw;
+  #execution = null;
+  #views = [];
+
+  static DEFAULT_CONFIG = {
+    pageSize: 20,
+    maxCellWidth: 40
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {MarkdownRenderer} [options.markdown] - Draws the tables
+   * @param {number} [options.pageSize] - Rows per page, defaults to RESULT_PAGE_SIZE or 20
+   * @param {number} [options.maxCellWidth] - Cell width before truncation, defaults to RESULT_MAX_CELL_WIDTH or 40
+   * @param {boolean} [options.raw=false] - Start in raw JSON mode
+   */
+  constructor(options = {}) {
+    const {
+      markdown = new MarkdownRenderer(),
+      pageSize = Number(process.env.RESULT_PAGE_SIZE ?? ResultViewer.DEFAULT_CONFIG.pageSize),
+      maxCellWidth = Number(process.env.RESULT_MAX_CELL_WIDTH ?? ResultViewer.DEFAULT_CONFIG.maxCellWidth),
+      raw = false
+    } = options;
+
+    this.#markdown = markdown;
+    this.#pageSize = pageSize;
+    this.#maxCellWidth = maxCellWidth;
+    this.#raw = raw;
+  }
+
+  get raw() {
+    return this.#raw;
+  }
+
+  /**
+   * Switches between tables and raw JSON and shows the last execution again
+   * @returns {boolean} Whether raw JSON mode is now on
+   */
+  toggleRaw() {
+    this.#raw = !this.#raw;
+    if (this.#execution) this.show(this.#execution);
+    return this.#raw;
+  }
+
+  /**
+   * Shows the first page of every result of an execution
+   * @param {object} execution - Execution entry keyed by block and source (`1:analytics`), each with `query` and `result`/`error`/`approval`
+   */
+  show(execution) {
+    this.#execution = execution;
+    this.#views = resultSetsOf(execution).map(view => ({ ...view, page: 0 }));
+
+    if (this.#raw) {
+      console.log(chalk.gray(JSON.stringify(execution, null, 2)));
+      return;
+    }
+    this.#views.forEach(view => this.#print(view));
+  }
+
+  /**
+   * Shows the next page of every result that has more rows
+   * @returns {boolean} Whether there was anything left to show
+   */
+  more() {
+    const paged = this.#views.filter(view => view.rows && (view.page + 1) * this.#pageSize < view.rows.length);
+    paged.forEach(view => {
+      view.page++;
+      this.#print(view);
+    });
+    return paged.length > 0;
+  }
+
+  /**
+   * Shows page `number` (1-based) of every result that has it
+   * @param {number} number - Page number
+   * @returns {boolean} Whether the page exists
+   */
+  page(number) {
+    const index = number - 1;
+    const paged = this.#views.filter(view => view.rows && index >= 0 && index * this.#pageSize < Math.max(view.rows.length, 1));
+    paged.forEach(view => {
+      view.page = index;
+      this.#print(view);
+    });
+    return paged.length > 0;
+  }
+
+  #print(view) {
+    switch (view.kind) {
+      case 'rejected':
+        console.log(chalk.yellow(`🚫 ${view.label}: rejected${view.reason ? ` (${view.reason})` : ''}`));
+        return;
+      case 'error':
+        console.log(chalk.red(`❌ ${view.label}: ${view.message}`));
+        return;
+      case 'text':
+        console.log(chalk.cyan(`📋 ${view.label}`));
+        console.log(chalk.gray(view.text));
+        return;
+      case 'value':
+        console.log(chalk.cyan(`📋 ${view.label}: `) + formatValue(view.value));
+        return;
+    }
+
+    const { rows, columns, page } = view;
+    const total = rows.length;
+    const truncated = view.truncated ? ' (truncated)' : '';
+    console.log(chalk.cyan(`📋 ${view.label} · ${total} ${total === 1 ? 'row' : 'rows'}${truncated} · ${columns.length} ${columns.length === 1 ? 'column' : 'columns'}`));
+    if (total === 0) {
+      console.log(chalk.gray('  (no rows)'));
+      return;
+    }
+
+    const start = page * this.#pageSize;
+    const pageRows = rows.slice(start, start + this.#pageSize);
+    const header = columns.map(({ name, type }) => [
+      { text: `${name}\n`, styles: [] },
+      { text: type, styles: ['gray'] }
+    ]);
+    const cells = pageRows.map(row => columns.map(({ name }) => {
+      const text = truncate(formatValue(row[name]), this.#maxCellWidth);
+      return [{ text, styles: row[name] === null || row[name] === undefined ? ['gray'] : [] }];
+    }));
+
+    this.#markdown.table(header, cells, { align: columns.map(({ numeric }) => numeric ? 'right' : 'left') })
+      .forEach(line => console.log(line));
+
+    const pages = Math.ceil(total / this.#pageSize);
+    if (pages > 1) {
+      const end = Math.min(start + this.#pageSize, total);
+      const hint = end < total ? ' · /more for the next page, /page <n> to jump' : ' · /page <n> to jump';
+      console.log(chalk.gray(`Rows ${start + 1}–${end} of ${total} (page ${page + 1} of ${pages})${hint}`));
+    }
+  }
+}
+
+export default ResultViewer;
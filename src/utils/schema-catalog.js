@@ -0,0 +1,267 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import chalk from 'chalk';
+
+const CATALOG_VERSION = '2.1.0';
+
+/**
+ * Splits text into lowercase words, breaking identifiers on `_`, `.` and camelCase
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>}
+ */
+const tokenize = (text = '') => new Set(
+  text
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2)
+    .flatMap(word => word.endsWith('s') ? [word, word.slice(0, -1)] : [word])
+);
+
+/**
+ * Schema Catalog Utility
+ * Introspects every data source, caches the result on disk and renders a
+ * compact, question-relevant summary for the system prompt.
+ */
+class SchemaCatalog {
+  #cacheFile;
+  #catalog = null;
+
+  static DEFAULT_CONFIG = {
+    sampleSize: 20,
+    maxCollections: 50,
+    maxDetailedEntries: 15,
+    maxSummaryLength: 6000
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.cacheFile] - Where the catalog is cached; null disables caching
+   */
+  constructor(options = {}) {
+    const { cacheFile = './save/schema_catalog.json' } = options;
+    this.#cacheFile = cacheFile;
+  }
+
+  /**
+   * Loads the cached catalog from disk
+   * @param {DataSources} [sources] - When given, a cache made for other sources is ignored
+   * @returns {Promise<boolean>} Whether a usable cached catalog was found
+   */
+  async load(sources) {
+    if (!this.#cacheFile) return false;
+    try {
+      const data = JSON.parse(await fs.readFile(this.#cacheFile, 'utf8'));
+      if (data.version !== CATALOG_VERSION) return false;
+      const names = sources?.list().map(({ name }) => name).sort().join(',');
+      if (names !== undefined && names !== Object.keys(data.sources).sort().join(',')) return false;
+      this.#catalog = data;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Introspects every data source and updates the cache.
+   * A source that fails is reported and left out instead of aborting the refresh.
+   * @param {DataSources} sources - Each source is introspected through a fresh integration (see `describeSchema`)
+   * @returns {Promise<object>} The new catalog
+   */
+  async refresh(sources) {
+    const catalog = {
+      version: CATALOG_VERSION,
+      generatedAt: new Date().toISOString(),
+      sources: {}
+    };
+
+    const { sampleSize, maxCollections } = SchemaCatalog.DEFAULT_CONFIG;
+    for (const { name, type } of sources.list()) {
+      let integration;
+      try {
+        integration = sources.create(name);
+        const schema = await integration.describeSchema({ sampleSize, maxCollections });
+        catalog.sources[name] = { type, dialect: integration.dialect, ...schema };
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Could not introspect ${name}: ${error.message}`));
+      } finally {
+        await integration?.close();
+      }
+    }
+
+    this.#catalog = catalog;
+
+    if (this.#cacheFile) {
+      try {
+        await fs.mkdir(dirname(this.#cacheFile), { recursive: true });
+        await fs.writeFile(this.#cacheFile, JSON.stringify(catalog, null, 2));
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Could not cache schema catalog: ${error.message}`));
+      }
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Whether anything has been introspected or loaded
+   * @returns {boolean}
+   */
+  get empty() {
+    return !this.#catalog || Object.keys(this.#catalog.sources).length === 0;
+  }
+
+  /**
+   * Counts of introspected objects, for display
+   * @returns {{tables: number, collections: number, generatedAt: (string|null), sources: Object<string, number>}}
+   *   `sources` holds the tables or collections per source name
+   */
+  get stats() {
+    const sources = Object.fromEntries(Object.entries(this.#catalog?.sources ?? {})
+      .map(([name, schema]) => [name, (schema.tables ?? schema.collections).length]));
+    const count = (key) => Object.values(this.#catalog?.sources ?? {})
+      .reduce((sum, schema) => sum + (schema[key]?.length ?? 0), 0);
+    return {
+      tables: count('tables'),
+      collections: count('collections'),
+      generatedAt: this.#catalog?.generatedAt ?? null,
+      sources
+    };
+  }
+
+  /**
+   * Names of the known tables and collections, per source
+   * @param {string} [source] - Only this source
+   * @returns {Array<{source: string, dialect: string, tables: (string[]|undefined), collections: (string[]|undefined)}>}
+   */
+  list(source) {
+    return Object.entries(this.#catalog?.sources ?? {})
+      .filter(([name]) => !source || name === source)
+      .map(([name, schema]) => ({
+        source: name,
+        dialect: schema.dialect,
+        ...(schema.tables
+          ? { tables: schema.tables.map(table => `${table.schema}.${table.name}`) }
+          : { collections: schema.collections.map(collection => `${collection.database}.${collection.name}`) })
+      }));
+  }
+
+  /**
+   * Looks up a table or collection by name, qualified (`schema.table`, `database.collection`) or not
+   * @param {string} name - Name to look for, case-insensitive
+   * @param {string} [source] - Only search this source
+   * @returns {{source: string, dialect: string, table: (object|undefined), collection: (object|undefined)}|null}
+   *   The first match with its columns or fields, or null when none is known
+   */
+  find(name, source) {
+    const wanted = name.toLowerCase();
+    const matches = (qualifier, entryName) => wanted === entryName.toLowerCase()
+      || wanted === `${qualifier}.${entryName}`.toLowerCase();
+
+    for (const [sourceName, schema] of Object.entries(this.#catalog?.sources ?? {})) {
+      if (source && sourceName !== source) continue;
+      const table = schema.tables?.find(entry => matches(entry.schema, entry.name));
+      if (table) return { source: sourceName, dialect: schema.dialect, table };
+      const collection = schema.collections?.find(entry => matches(entry.database, entry.name));
+      if (collection) return { source: sourceName, dialect: schema.dialect, collection };
+    }
+    return null;
+  }
+
+  /**
+   * Renders the schema for the prompt. Tables and collections related to the
+   * question are described with their columns or fields; the rest are only named.
+   * @param {string} [question] - Text used to rank entries by relevance
+   * @returns {string} Summary, empty when nothing is known
+   */
+  summarize(question = '') {
+    if (this.empty) return '';
+
+    const { maxDetailedEntries, maxSummaryLength } = SchemaCatalog.DEFAULT_CONFIG;
+    const words = tokenize(question);
+
+    const entries = Object.entries(this.#catalog.sources).flatMap(([source, schema]) => [
+      ...(schema.tables ?? []).map(table => ({
+        source,
+        name: `${table.schema}.${table.name}`,
+        nameText: table.name,
+        detailText: [table.comment, ...table.columns.flatMap(column => [column.name, column.comment])].join(' '),
+        describe: () => this.#describeTable(table)
+      })),
+      ...(schema.collections ?? []).map(collection => ({
+        source,
+        name: `${collection.database}.${collection.name}`,
+        nameText: collection.name,
+        detailText: Object.keys(collection.fields).join(' '),
+        describe: () => this.#describeCollection(collection)
+      }))
+    ]);
+
+    const score = ({ nameText, detailText }) => {
+      const nameWords = tokenize(nameText);
+      const detailWords = tokenize(detailText);
+      let total = 0;
+      for (const word of words) {
+        if (nameWords.has(word)) total += 3;
+        if (detailWords.has(word)) total += 1;
+      }
+      return total;
+    };
+
+    const ranked = entries
+      .map((entry, index) => ({ entry, index, score: score(entry) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    // Small schemas are described in full; larger ones only where relevant
+    const detailed = new Set(
+      (entries.length <= maxDetailedEntries ? ranked : ranked.filter(({ score }) => score > 0))
+        .slice(0, maxDetailedEntries)
+        .map(({ entry }) => entry)
+    );
+
+    let summary = 'Known database schema (use these names instead of discovering them):\n';
+    for (const [source, { dialect, tables }] of Object.entries(this.#catalog.sources)) {
+      const sourceEntries = entries.filter(entry => entry.source === source);
+      if (sourceEntries.length === 0) continue;
+
+      const noun = tables ? 'tables' : 'collections';
+      summary += `${dialect} ${noun} in ${source}:\n`;
+      for (const entry of ranked.map(({ entry }) => entry).filter(entry => entry.source === source && detailed.has(entry))) {
+        const line = `- ${entry.describe()}\n`;
+        if (summary.length + line.length > maxSummaryLength) break;
+        summary += line;
+      }
+
+      const others = sourceEntries.filter(entry => !detailed.has(entry)).map(entry => entry.name);
+      if (others.length > 0) {
+        const line = `- Other ${noun}: ${others.join(', ')}\n`;
+        summary += line.length + summary.length > maxSummaryLength
+          ? `- ${others.length} other ${noun} not listed\n`
+          : line;
+      }
+    }
+
+    return summary;
+  }
+
+  #describeTable(table) {
+    const columns = table.columns.map(column => {
+      let text = `${column.name} ${column.type}`;
+      if (column.primaryKey) text += ' PK';
+      if (column.references) text += ` FK→${column.references}`;
+      return text;
+    });
+    const kind = table.kind === 'table' ? '' : ` [${table.kind}]`;
+    const comment = table.comment ? ` -- ${table.comment}` : '';
+    return `${table.schema}.${table.name}${kind}(${columns.join(', ')})${comment}`;
+  }
+
+  #describeCollection(collection) {
+    const fields = Object.entries(collection.fields)
+      .map(([path, types]) => `${path}: ${types.join('|')}`);
+    const count = collection.count !== undefined ? ` (~${collection.count} docs)` : '';
+    return `${collection.database}.${collection.name}${count} {${fields.join(', ')}}`;
+  }
+}
+
+export default SchemaCatalog;
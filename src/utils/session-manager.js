@@ -0,0 +1,354 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import chalk from 'chalk';
+
+const SESSIONS_FOLDER = './save/sessions';
+const LEGACY_SAVE_FILE = './save/last_session.json';
+const ACTIVE_SESSION_FILE = './save/sessions/.active';
+const SESSION_VERSION = '2.0.0';
+const DEFAULT_SESSION = 'default';
+
+const SESSION_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Brings a stored session up to the current format.
+ * Version 1.0.0 files (`last_session.json`) only had the history and `savedAt`;
+ * sessions saved before usage accounting have no `usage`.
+ * @param {object} session - Parsed session file
+ * @param {string} name - Session name to assign
+ * @returns {object}
+ */
+const migrateSession = (session, name) => {
+  const conversationHistory = session.conversationHistory ?? [];
+  return {
+    ...session,
+    name,
+    createdAt: session.createdAt ?? conversationHistory[0]?.timestamp ?? session.savedAt ?? new Date().toISOString(),
+    conversationHistory,
+    usage: session.usage ?? [],
+    version: SESSION_VERSION
+  };
+};
+
+/**
+ * Session Manager
+ * Keeps the conversation history of the active session and stores named
+ * sessions as `./save/sessions/<name>.json`, together with the token usage of
+ * every turn.
+ */
+class SessionManager {
+  #conversationHistory = [];
+  #persist;
+  #name;
+  #createdAt = new Date().toISOString();
+  #summary = null;
+  #usage = [];
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.persist=true] - Whether autoSave writes the session file
+   * @param {string} [options.name] - Session to start with; defaults to the last active one
+   */
+  constructor(options = {}) {
+    const { persist = true, name } = options;
+    if (name !== undefined) SessionManager.#assertName(name);
+    this.#persist = persist;
+    this.#name = name;
+    console.log('📝 Session manager initialized');
+  }
+
+  static #assertName(name) {
+    if (!SESSION_NAME.test(name ?? '')) {
+      throw new Error(`Invalid session name "${name}": use letters, digits, '-', '_' or '.'`);
+    }
+  }
+
+  static #fileOf(name) {
+    return join(SESSIONS_FOLDER, `${name}.json`);
+  }
+
+  static async #readSession(name) {
+    const data = await fs.readFile(SessionManager.#fileOf(name), 'utf8');
+    return migrateSession(JSON.parse(data), name);
+  }
+
+  static async #exists(name) {
+    try {
+      await fs.access(SessionManager.#fileOf(name));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Moves the single-file `last_session.json` of earlier versions into the
+   * named sessions folder as the `default` session
+   * @private
+   */
+  static async #migrateLegacySave() {
+    try {
+      const data = await fs.readFile(LEGACY_SAVE_FILE, 'utf8');
+      if (await SessionManager.#exists(DEFAULT_SESSION)) return;
+
+      const session = migrateSession(JSON.parse(data), DEFAULT_SESSION);
+      await fs.mkdir(SESSIONS_FOLDER, { recursive: true });
+      await fs.writeFile(SessionManager.#fileOf(DEFAULT_SESSION), JSON.stringify(session, null, 2));
+      await fs.rename(LEGACY_SAVE_FILE, `${LEGACY_SAVE_FILE}.migrated`);
+      console.log(chalk.gray(`📦 Migrated ${LEGACY_SAVE_FILE} to session "${DEFAULT_SESSION}"`));
+    } catch (error) {
+      // No legacy save to migrate
+    }
+  }
+
+  get name() {
+    return this.#name ?? DEFAULT_SESSION;
+  }
+
+  /**
+   * @param {string} role - user, assistant, agent or execution
+   * @param {any} content - Message text, or the result object for execution entries
+   * @param {object} [options]
+   * @param {boolean} [options.pinned=false] - Keep the message verbatim in every prompt
+   * @param {Array<object>} [options.calls] - Function calls an execution answers, as
+   *   `{ id, name, args, thoughtSignature }` with the `key` of their entry in `content` or their own `response`
+   */
+  addMessage(role, content, options = {}) {
+    const { pinned = false, calls } = options;
+    this.#conversationHistory.push({
+      role,
+      content,
+      timestamp: new Date().toISOString(),
+      ...(pinned ? { pinned } : {}),
+      ...(calls ? { calls } : {})
+    });
+  }
+
+  /**
+   * Pins the most recent message of a role so it survives context trimming
+   * @param {string} role - Role to look for
+   * @returns {object|null} The pinned message, or null when there is none
+   */
+  pinLast(role) {
+    const message = [...this.#conversationHistory].reverse().find(entry => entry.role === role);
+    if (message) message.pinned = true;
+    return message ?? null;
+  }
+
+  /**
+   * Running summary of the messages before `coversUntil`
+   * @returns {{text: string, coversUntil: number}|null}
+   */
+  getSummary() {
+    return this.#summary ? { ...this.#summary } : null;
+  }
+
+  setSummary(summary) {
+    this.#summary = summary ? { ...summary, updatedAt: new Date().toISOString() } : null;
+  }
+
+  getConversationHistory() {
+    return [...this.#conversationHistory];
+  }
+
+  /**
+   * Stores the usage of a finished turn
+   * @param {object} turn - Turn as returned by `UsageTracker.endTurn`
+   */
+  addUsage(turn) {
+    this.#usage.push(turn);
+  }
+
+  /**
+   * Usage of the turns of this session, oldest first
+   * @returns {Array<object>}
+   */
+  getUsage() {
+    return [...this.#usage];
+  }
+
+  /**
+   * Clears the conversation; its usage is kept, as the spending happened
+   */
+  clearHistory() {
+    this.#conversationHistory.length = 0;
+    this.#summary = null;
+    console.log(chalk.green('🧹 History cleared'));
+  }
+
+  async autoLoad() {
+    if (this.#persist) {
+      await SessionManager.#migrateLegacySave();
+    }
+
+    if (this.#name === undefined) {
+      try {
+        this.#name = (await fs.readFile(ACTIVE_SESSION_FILE, 'utf8')).trim() || DEFAULT_SESSION;
+      } catch (error) {
+        this.#name = DEFAULT_SESSION;
+      }
+    }
+
+    try {
+      const session = await SessionManager.#readSession(this.#name);
+      this.#conversationHistory = session.conversationHistory;
+      this.#createdAt = session.createdAt;
+      this.#summary = session.summary ?? null;
+      this.#usage = session.usage;
+
+      console.log(chalk.gray(`📂 Session "${this.#name}"`));
+      if (this.#conversationHistory.length > 0) {
+        console.log(chalk.gray(`📚 Loaded ${this.#conversationHistory.length} previous messages`));
+      }
+    } catch (error) {
+      console.log(chalk.gray(`📝 Starting fresh session "${this.#name}"`));
+    }
+  }
+
+  async autoSave() {
+    if (!this.#persist) return;
+
+    try {
+      await fs.mkdir(SESSIONS_FOLDER, { recursive: true });
+
+      const session = {
+        name: this.name,
+        conversationHistory: this.#conversationHistory,
+        summary: this.#summary,
+        usage: this.#usage,
+        createdAt: this.#createdAt,
+        savedAt: new Date().toISOString(),
+        version: SESSION_VERSION
+      };
+
+      await fs.writeFile(SessionManager.#fileOf(this.name), JSON.stringify(session, null, 2));
+      await fs.writeFile(ACTIVE_SESSION_FILE, this.name);
+      console.log(chalk.green(`💾 Session "${this.name}" saved automatically`));
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Could not save session: ${error.message}`));
+    }
+  }
+
+  /**
+   * Saves the current conversation under a name and makes it the active session
+   * @param {string} name - Session name
+   * @throws {Error} When sessions are not persisted, or another session has that name
+   */
+  async save(name) {
+    SessionManager.#assertName(name);
+    if (!this.#persist) {
+      throw new Error('Session persistence is off; nothing was saved');
+    }
+    if (name !== this.name && await SessionManager.#exists(name)) {
+      throw new Error(`Session "${name}" already exists; /load it or /delete it first`);
+    }
+
+    this.#name = name;
+    await this.autoSave();
+  }
+
+  /**
+   * Saves the active session, then switches to another one
+   * @param {string} name - Session name
+   * @throws {Error} When the session does not exist
+   */
+  async load(name) {
+    SessionManager.#assertName(name);
+    if (!(await SessionManager.#exists(name))) {
+      throw new Error(`Session "${name}" not found`);
+    }
+
+    await this.autoSave();
+    const session = await SessionManager.#readSession(name);
+    this.#name = name;
+    this.#conversationHistory = session.conversationHistory;
+    this.#createdAt = session.createdAt;
+    this.#summary = session.summary ?? null;
+    this.#usage = session.usage;
+    console.log(chalk.green(`📂 Loaded session "${name}" (${this.#conversationHistory.length} messages)`));
+  }
+
+  /**
+   * Saves the active session and continues in a copy of it under a new name.
+   * The copy starts without usage: the spending stays with the original session.
+   * @param {string} name - Name of the new session
+   * @throws {Error} When a session with that name already exists
+   */
+  async fork(name) {
+    SessionManager.#assertName(name);
+    if (await SessionManager.#exists(name)) {
+      throw new Error(`Session "${name}" already exists`);
+    }
+
+    const source = this.name;
+    await this.autoSave();
+    this.#name = name;
+    this.#createdAt = new Date().toISOString();
+    this.#conversationHistory = this.#conversationHistory.map(message => ({ ...message }));
+    this.#usage = [];
+    await this.autoSave();
+    console.log(chalk.green(`🌱 Forked "${source}" into "${name}"`));
+  }
+
+  /**
+   * Deletes a stored session other than the active one
+   * @param {string} name - Session name
+   */
+  async delete(name) {
+    SessionManager.#assertName(name);
+    if (name === this.name) {
+      throw new Error(`Cannot delete the active session "${name}"; load another one first`);
+    }
+    try {
+      await fs.unlink(SessionManager.#fileOf(name));
+    } catch (error) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    console.log(chalk.green(`🗑️ Deleted session "${name}"`));
+  }
+
+  /**
+   * Lists stored sessions, most recently saved first
+   * @returns {Promise<Array<{name: string, messages: number, createdAt: string, savedAt: string, active: boolean}>>}
+   */
+  async list() {
+    let files = [];
+    try {
+      files = (await fs.readdir(SESSIONS_FOLDER)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const file of files) {
+      const name = file.slice(0, -'.json'.length);
+      try {
+        const session = await SessionManager.#readSession(name);
+        sessions.push({
+          name,
+          messages: session.conversationHistory.length,
+          createdAt: session.createdAt,
+          savedAt: session.savedAt,
+          active: name === this.name
+        });
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Skipping unreadable session file ${file}`));
+      }
+    }
+
+    return sessions.sort((a, b) => (b.savedAt ?? '').localeCompare(a.savedAt ?? ''));
+  }
+
+  getStats() {
+    const userMessages = this.#conversationHistory.filter(msg => msg.role === 'user').length;
+    const assistantMessages = this.#conversationHistory.filter(msg => msg.role === 'assistant').length;
+
+    return {
+      total: this.#conversationHistory.length,
+      userMessages,
+      assistantMessages
+    };
+  }
+}
+
+export default SessionManager;
@@ -0,0 +1,485 @@
+/**
+ * SQL Statement Guard
+ * Splits model-generated SQL into statements, classifies each one and
+ * rejects anything outside the allowed categories before it reaches the database.
+ */
+
+/**
+ * Statement categories recognised by the guard
+ */
+export const STATEMENT_CATEGORIES = Object.freeze({
+  READ: 'read',
+  DML: 'dml',
+  DDL: 'ddl',
+  SESSION: 'session',
+  UNKNOWN: 'unknown'
+});
+
+const { READ, DML, DDL, SESSION, UNKNOWN } = STATEMENT_CATEGORIES;
+
+/**
+ * SQL dialects the scanner understands. They differ in comments, quoting and
+ * string escapes, which decide where statements end and what is code.
+ */
+export const SQL_DIALECTS = Object.freeze(['postgresql', 'mysql', 'sqlite']);
+
+const KEYWORD_CATEGORIES = {
+  SELECT: READ,
+  WITH: READ,
+  VALUES: READ,
+  TABLE: READ,
+  SHOW: READ,
+  EXPLAIN: READ,
+  DESCRIBE: READ,
+  DESC: READ,
+  INSERT: DML,
+  UPDATE: DML,
+  DELETE: DML,
+  MERGE: DML,
+  UPSERT: DML,
+  REPLACE: DML,
+  COPY: DML,
+  CALL: DML,
+  CREATE: DDL,
+  ALTER: DDL,
+  DROP: DDL,
+  TRUNCATE: DDL,
+  COMMENT: DDL,
+  GRANT: DDL,
+  REVOKE: DDL,
+  REINDEX: DDL,
+  CLUSTER: DDL,
+  VACUUM: DDL,
+  ANALYZE: DDL,
+  REFRESH: DDL,
+  SECURITY: DDL,
+  IMPORT: DDL,
+  DO: DDL,
+  RENAME: DDL,
+  OPTIMIZE: DDL,
+  REPAIR: DDL,
+  INSTALL: DDL,
+  UNINSTALL: DDL,
+  SET: SESSION,
+  RESET: SESSION,
+  BEGIN: SESSION,
+  START: SESSION,
+  COMMIT: SESSION,
+  END: SESSION,
+  ROLLBACK: SESSION,
+  ABORT: SESSION,
+  SAVEPOINT: SESSION,
+  RELEASE: SESSION,
+  PREPARE: SESSION,
+  EXECUTE: SESSION,
+  DEALLOCATE: SESSION,
+  DISCARD: SESSION,
+  LISTEN: SESSION,
+  UNLISTEN: SESSION,
+  NOTIFY: SESSION,
+  LOCK: SESSION,
+  LOAD: SESSION,
+  CHECKPOINT: SESSION,
+  USE: SESSION,
+  HANDLER: SESSION,
+  FLUSH: SESSION,
+  KILL: SESSION,
+  PRAGMA: SESSION,
+  ATTACH: SESSION,
+  DETACH: SESSION
+};
+
+// Functions that have side effects even inside a read-only transaction
+const UNSAFE_FUNCTIONS = [
+  'pg_terminate_backend',
+  'pg_cancel_backend',
+  'pg_reload_conf',
+  'pg_rotate_logfile',
+  'pg_promote',
+  'pg_read_file',
+  'pg_read_binary_file',
+  'pg_ls_dir',
+  'pg_stat_file',
+  // Advisory locks outlive a rolled back transaction on a pooled connection
+  'pg_advisory_lock',
+  'pg_advisory_lock_shared',
+  'pg_try_advisory_lock',
+  'pg_try_advisory_lock_shared',
+  'pg_advisory_xact_lock',
+  'pg_advisory_xact_lock_shared',
+  'pg_try_advisory_xact_lock',
+  'pg_try_advisory_xact_lock_shared',
+  'pg_advisory_unlock',
+  'pg_advisory_unlock_shared',
+  'pg_advisory_unlock_all',
+  'get_lock',
+  'release_lock',
+  'release_all_locks',
+  // Large objects
+  'lo_import',
+  'lo_export',
+  'lo_creat',
+  'lo_create',
+  'lo_unlink',
+  'lo_from_bytea',
+  'lo_put',
+  'lo_open',
+  'lowrite',
+  'lo_truncate',
+  'lo_truncate64',
+  'dblink',
+  'dblink_exec',
+  'set_config',
+  'load_file',
+  'load_extension',
+  'readfile',
+  'writefile'
+];
+
+const DATA_MODIFYING_KEYWORDS = /\b(INSERT|UPDATE|DELETE|MERGE)\b/i;
+
+/**
+ * Error raised when a statement is rejected by the guard
+ */
+export class SqlGuardError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = 'SqlGuardError';
+    this.code = 'SQL_GUARD_BLOCKED';
+    this.violations = violations;
+  }
+
+  /**
+   * Serializable form used for execution entries in the conversation history
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      violations: this.violations
+    };
+  }
+}
+
+/**
+ * Scans SQL text and splits it into statements on top-level semicolons.
+ * Each statement carries its original text, a sanitized copy in which
+ * comments are removed and string literals are blanked, so keywords inside
+ * strings or comments never influence classification, and a single-line copy
+ * without line comments for editing on one line.
+ * MySQL's executable comments (`/*! ... *\/`) are code, since the server runs them.
+ * @param {string} sql - SQL text, possibly containing several statements
+ * @param {string} [dialect='postgresql'] - One of SQL_DIALECTS
+ * @returns {Array<{text: string, code: string, flat: string}>}
+ */
+const scanStatements = (sql, dialect = 'postgresql') => {
+  const mysql = dialect === 'mysql';
+  const postgres = dialect === 'postgresql';
+  let executable = false;
+  const statements = [];
+  let text = '';
+  let code = '';
+  let flat = '';
+  let i = 0;
+
+  const flush = () => {
+    if (code.trim()) {
+      statements.push({ text: text.trim(), code: code.replace(/\s+/g, ' ').trim(), flat: flat.trim() });
+    }
+    text = '';
+    code = '';
+    flat = '';
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    // Line comment; MySQL needs whitespace after -- and also accepts #
+    if ((char === '-' && next === '-' && (!mysql || !/\S/.test(sql[i + 2] ?? ' '))) || (mysql && char === '#')) {
+      const end = sql.indexOf('\n', i);
+      const stop = end === -1 ? sql.length : end;
+      text += sql.slice(i, stop);
+      code += ' ';
+      flat += /\s$/.test(flat) ? '' : ' ';
+      i = stop;
+      continue;
+    }
+
+    // MySQL executable comment: the markers go, the content is scanned as code
+    if (mysql && char === '/' && next === '*' && /^\/\*M?!/.test(sql.slice(i, i + 4))) {
+      const opening = sql.slice(i).match(/^\/\*M?!\d*/)[0];
+      text += opening;
+      code += ' ';
+      flat += opening;
+      executable = true;
+      i += opening.length;
+      continue;
+    }
+    if (executable && char === '*' && next === '/') {
+      text += '*/';
+      code += ' ';
+      flat += '*/';
+      executable = false;
+      i += 2;
+      continue;
+    }
+
+    // Block comment (PostgreSQL allows nesting)
+    if (char === '/' && next === '*') {
+      let depth = 0;
+      let j = i;
+      while (j < sql.length) {
+        if (sql[j] === '/' && sql[j + 1] === '*' && (postgres || depth === 0)) {
+          depth++;
+          j += 2;
+        } else if (sql[j] === '*' && sql[j + 1] === '/') {
+          depth--;
+          j += 2;
+          if (depth === 0) break;
+        } else {
+          j++;
+        }
+      }
+      text += sql.slice(i, j);
+      code += ' ';
+      flat += sql.slice(i, j).replace(/\s+/g, ' ');
+      i = j;
+      continue;
+    }
+
+    // String literal, including E'' strings with backslash escapes; MySQL always
+    // escapes with backslashes and also quotes strings with "
+    if (char === '\'' || (mysql && char === '"')) {
+      const escapes = mysql || (postgres && /[eE]$/.test(code) && !/\w[eE]$/.test(code));
+      let j = i + 1;
+      while (j < sql.length) {
+        if (escapes && sql[j] === '\\') {
+          j += 2;
+        } else if (sql[j] === char && sql[j + 1] === char) {
+          j += 2;
+        } else if (sql[j] === char) {
+          j++;
+          break;
+        } else {
+          j++;
+        }
+      }
+      text += sql.slice(i, j);
+      code += '\'\'';
+      flat += sql.slice(i, j);
+      i = j;
+      continue;
+    }
+
+    // Quoted identifier: "name", `name` in MySQL and SQLite, [name] in SQLite
+    if (char === '"' || (!postgres && char === '`') || (dialect === 'sqlite' && char === '[')) {
+      const closing = char === '[' ? ']' : char;
+      let j = i + 1;
+      while (j < sql.length) {
+        if (closing !== ']' && sql[j] === closing && sql[j + 1] === closing) {
+          j += 2;
+        } else if (sql[j] === closing) {
+          j++;
+          break;
+        } else {
+          j++;
+        }
+      }
+      text += sql.slice(i, j);
+      code += sql.slice(i, j);
+      flat += sql.slice(i, j);
+      i = j;
+      continue;
+    }
+
+    // Dollar-quoted string
+    if (postgres && char === '$') {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag && !/\w$/.test(code)) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        const stop = end === -1 ? sql.length : end + tag[0].length;
+        text += sql.slice(i, stop);
+        code += '\'\'';
+        flat += sql.slice(i, stop);
+        i = stop;
+        continue;
+      }
+    }
+
+    if (char === ';') {
+      flush();
+      i++;
+      continue;
+    }
+
+    text += char;
+    code += char;
+    flat += /\s/.test(char) ? (/\s$/.test(flat) ? '' : ' ') : char;
+    i++;
+  }
+
+  flush();
+  return statements;
+};
+
+/**
+ * Classifies a sanitized statement
+ * @param {string} code - Statement with comments and literals stripped
+ * @param {string} [dialect='postgresql'] - One of SQL_DIALECTS
+ * @returns {{keyword: string, category: string, reason: (string|null)}}
+ */
+const classifyCode = (code, dialect = 'postgresql') => {
+  const keyword = (code.match(/^\(*\s*([A-Za-z]+)/)?.[1] ?? '').toUpperCase();
+  const category = KEYWORD_CATEGORIES[keyword] ?? UNKNOWN;
+
+  if (keyword === 'EXPLAIN') {
+    const options = code.match(/^EXPLAIN\s*(\([^)]*\))?/i);
+    const rest = code.slice(options[0].length).replace(/^\s*((ANALYZE|ANALYSE|VERBOSE)\s+)*/i, '');
+    const analyze = /\bANALY[SZ]E\b/i.test(code.slice(0, code.length - rest.length));
+    const inner = classifyCode(rest, dialect);
+    // EXPLAIN ANALYZE actually runs the statement, so it inherits its category
+    if (analyze && inner.category !== READ) {
+      return { keyword, category: inner.category, reason: `EXPLAIN ANALYZE executes ${inner.keyword || 'the statement'}` };
+    }
+    return { keyword, category: READ, reason: null };
+  }
+
+  if (keyword === 'WITH' && DATA_MODIFYING_KEYWORDS.test(code)) {
+    return { keyword, category: DML, reason: 'data-modifying statement inside WITH' };
+  }
+
+  if (keyword === 'SELECT' && /\bINTO\b/i.test(code)) {
+    const reason = dialect === 'mysql' ? 'SELECT INTO writes to a file or variables' : 'SELECT INTO creates a table';
+    return { keyword, category: DDL, reason };
+  }
+
+  if (category === READ) {
+    const unsafe = UNSAFE_FUNCTIONS.find(name => new RegExp(`\\b${name}\\s*\\(`, 'i').test(code));
+    if (unsafe) {
+      return { keyword, category: SESSION, reason: `calls ${unsafe}()` };
+    }
+  }
+
+  return { keyword, category, reason: null };
+};
+
+/**
+ * SQL Guard
+ * Classifies statements and enforces the set of allowed categories.
+ */
+class SqlGuard {
+  #allowedCategories;
+  #dialect;
+
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.allowedCategories=['read']] - Categories permitted to run
+   * @param {string} [options.dialect='postgresql'] - One of SQL_DIALECTS
+   */
+  constructor(options = {}) {
+    const { allowedCategories = [READ], dialect = 'postgresql' } = options;
+    if (!SQL_DIALECTS.includes(dialect)) {
+      throw new Error(`Unknown SQL dialect: ${dialect}. Expected one of ${SQL_DIALECTS.join(', ')}`);
+    }
+    const categories = Object.values(STATEMENT_CATEGORIES);
+    if (!Array.isArray(allowedCategories) || !allowedCategories.every(category => categories.includes(category))) {
+      throw new Error(`Invalid allowedCategories: ${JSON.stringify(allowedCategories)}. Expected a list of ${categories.join(', ')}`);
+    }
+    this.#allowedCategories = new Set(allowedCategories);
+    this.#dialect = dialect;
+  }
+
+  /**
+   * Default allowed categories of an adapter: read-only, or every category when
+   * its *_ALLOW_WRITE environment variable is `true`
+   * @param {string} variable - e.g. POSTGRES_ALLOW_WRITE
+   * @returns {string[]}
+   */
+  static categoriesFromEnv(variable) {
+    return process.env[variable] === 'true' ? Object.values(STATEMENT_CATEGORIES) : [READ];
+  }
+
+  /**
+   * Splits SQL text into individual statements
+   * @param {string} sql - SQL text
+   * @returns {string[]} Statements without trailing semicolons
+   */
+  split(sql) {
+    return scanStatements(sql, this.#dialect).map(({ text }) => text);
+  }
+
+  /**
+   * Writes SQL text on one line: line comments are dropped, since everything
+   * after them would become part of the comment, and line breaks outside
+   * literals become spaces
+   * @param {string} sql - SQL text
+   * @returns {string}
+   */
+  toSingleLine(sql) {
+    return scanStatements(sql, this.#dialect).map(({ flat }) => flat).join('; ');
+  }
+
+  /**
+   * Splits and classifies every statement in the SQL text
+   * @param {string} sql - SQL text
+   * @returns {Array<{statement: string, keyword: string, category: string, reason: (string|null), allowed: boolean}>}
+   */
+  inspect(sql) {
+    return scanStatements(sql, this.#dialect).map(({ text, code }) => {
+      const { keyword, category, reason } = classifyCode(code, this.#dialect);
+      return {
+        statement: text,
+        keyword,
+        category,
+        reason,
+        allowed: this.#allowedCategories.has(category)
+      };
+    });
+  }
+
+  /**
+   * Inspects the SQL and throws when any statement is not allowed
+   * @param {string} sql - SQL text
+   * @returns {Array<object>} The inspected statements when all are allowed
+   * @throws {SqlGuardError} When the SQL is empty or contains a blocked statement
+   */
+  assert(sql) {
+    const statements = this.inspect(sql);
+
+    if (statements.length === 0) {
+      throw new SqlGuardError('No SQL statement to execute');
+    }
+
+    const violations = statements
+      .filter(({ allowed }) => !allowed)
+      .map(({ statement, keyword, category, reason }) => ({ statement, keyword, category, reason }));
+
+    if (violations.length > 0) {
+      const summary = violations
+        .map(({ keyword, category, reason }) => `${keyword || '?'} (${category}${reason ? `: ${reason}` : ''})`)
+        .join(', ');
+      throw new SqlGuardError(
+        `Blocked by SQL guard: ${summary}. Allowed categories: ${[...this.#allowedCategories].join(', ')}`,
+        violations
+      );
+    }
+
+    return statements;
+  }
+
+  /**
+   * Whether only read-only statements are permitted
+   * @returns {boolean}
+   */
+  get readOnly() {
+    return [...this.#allowedCategories].every(category => category === READ);
+  }
+
+  get allowedCategories() {
+    return [...this.#allowedCategories];
+  }
+}
+
+export default SqlGuard;
@@ -0,0 +1,273 @@
+import { fork } from 'child_process';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import SqlGuard from './sql-guard.js';
+import Cassette from './cassette.js';
+import DataSourceAdapter, { abortError, groupTables, integerSetting, intercept, QueryError } from './data-source-adapter.js';
+
+dotenv.config();
+
+const WORKER_PATH = fileURLToPath(new URL('./sqlite-worker.js', import.meta.url));
+
+/**
+ * SQLite Integration Utility
+ * Queries a local SQLite file, such as an extract or an exported dataset,
+ * without any server. Statements pass the same SqlGuard as PostgreSQL; in
+ * read-only mode (the default) the file is also opened read-only. They run in
+ * a worker process that is killed when a statement overruns its timeout or is
+ * cancelled, and restarted by the next query.
+ */
+class SqliteIntegration extends DataSourceAdapter {
+  #file = null;
+  #guard = null;
+  #cassette = null;
+  #source;
+  #maxRows;
+  #statementTimeout;
+  #worker = null;
+  #requests = new Map();
+  #nextId = 1;
+  #starts = 0;
+  #timeouts = 0;
+  #lastError = null;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - Database file, defaults to SQLITE_FILE; it must exist
+   * @param {string[]} [options.allowedCategories] - Statement categories permitted to run.
+   *   Defaults to read-only, or to every category when SQLITE_ALLOW_WRITE=true.
+   * @param {Cassette|null} [options.cassette] - Records or replays queries, defaults to CASSETTE_MODE
+   * @param {string} [options.source] - Data source name, stored with cassette interactions to tell sources apart
+   * @param {number} [options.maxRows] - Rows returned per statement, defaults to SQLITE_MAX_ROWS or 1000
+   * @param {number} [options.statementTimeout] - Time a query may run in milliseconds, defaults to
+   *   SQLITE_STATEMENT_TIMEOUT_MS or 30000; 0 disables it
+   */
+  constructor(options = {}) {
+    super();
+
+    const {
+      file = process.env.SQLITE_FILE,
+      allowedCategories = SqlGuard.categoriesFromEnv('SQLITE_ALLOW_WRITE'),
+      cassette = Cassette.fromEnv(),
+      source,
+      maxRows = process.env.SQLITE_MAX_ROWS ?? 1000,
+      statementTimeout = process.env.SQLITE_STATEMENT_TIMEOUT_MS ?? 30000
+    } = options;
+
+    this.#guard = new SqlGuard({ allowedCategories, dialect: 'sqlite' });
+    this.#cassette = cassette;
+    this.#source = source;
+    this.#maxRows = integerSetting('SQLITE_MAX_ROWS', maxRows);
+    this.#statementTimeout = integerSetting('SQLITE_STATEMENT_TIMEOUT_MS', statementTimeout);
+
+    // Replayed sessions never open the file
+    if (this.#cassette?.replaying) return;
+
+    if (!file) {
+      throw new Error('❌ SQLITE_FILE not found in environment variables');
+    }
+    this.#file = resolve(file);
+  }
+
+  get dialect() {
+    return 'SQLite';
+  }
+
+  /**
+   * Whether only read statements may run, as set by allowedCategories
+   * @returns {boolean}
+   */
+  get readOnly() {
+    return this.#guard.readOnly;
+  }
+
+  /**
+   * Executes a SQL query and returns the results.
+   * Every statement is checked by the guard first; together they run in one transaction.
+   * @param {string} sql - The SQL query to execute.
+   * @param {object} [options]
+   * @param {number} [options.maxRows] - Overrides the row cap for this query (Infinity for none)
+   * @param {number} [options.statementTimeout] - Overrides the timeout for this query
+   * @param {AbortSignal} [options.signal] - Cancels the query
+   * @returns {Promise<object|Array<object>>} `{ rows, columns, rowCount, truncated }` where `columns` are
+   *   `{ name, type, typeId }` with the declared type, or an array of those for several statements.
+   * @throws {SqlGuardError} When a statement is outside the allowed categories.
+   * @throws {QueryError} When the query fails or times out (`code` SQLITE_STATEMENT_TIMEOUT)
+   * @throws {Error} An AbortError when cancelled
+   */
+  async executeQuery(sql, options = {}) {
+    return intercept(this.#cassette, 'sqlite', { source: this.#source, sql }, () => this.#executeQuery(sql, options));
+  }
+
+  async #executeQuery(sql, options) {
+    const statements = this.#guard.assert(sql);
+    const { maxRows = this.#maxRows, statementTimeout = this.#statementTimeout, signal } = options;
+
+    try {
+      const results = await this.#request(
+        { action: 'query', statements: statements.map(({ statement }) => statement), maxRows },
+        { timeout: statementTimeout, signal }
+      );
+      return results.length === 1 ? results[0] : results;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      const failing = statements[(error.statementNumber ?? 1) - 1];
+      throw QueryError.from(error, {
+        statement: error.statementNumber ? failing.statement : undefined,
+        statementNumber: statements.length > 1 ? error.statementNumber : undefined,
+        near: error.message.match(/^near "([^"]*)"/)?.[1]
+      });
+    }
+  }
+
+  /**
+   * Lists tables and views with their columns, primary keys and foreign keys
+   * @returns {Promise<{tables: Array<object>}>}
+   */
+  async describeSchema() {
+    const describe = () => this.#request({ action: 'describe' }, { timeout: this.#statementTimeout });
+    const { columns, keys } = await intercept(this.#cassette, 'sqlite', { source: this.#source, action: 'describe' }, describe);
+    return { tables: groupTables(columns, keys) };
+  }
+
+  /**
+   * Classifies the SQL without executing it.
+   * @param {string} sql - The SQL to inspect.
+   * @returns {Array<object>} One entry per statement with its category and whether it is allowed.
+   */
+  inspectQuery(sql) {
+    return this.#guard.inspect(sql);
+  }
+
+  /**
+   * Checks that the file can be opened and queried
+   * @returns {Promise<number>} Round trip in milliseconds
+   */
+  async ping() {
+    const startedAt = Date.now();
+    await this.#request({ action: 'ping' }, { timeout: this.#statementTimeout });
+    return Date.now() - startedAt;
+  }
+
+  /**
+   * State of the worker process
+   * @returns {{file: (string|null), state: string, pid: (number|null), restarts: number, timeouts: number, lastError: (string|null)}}
+   */
+  get health() {
+    return {
+      file: this.#file,
+      pid: this.#worker?.pid ?? null,
+      state: !this.#worker ? 'stopped' : this.#requests.size > 0 ? 'busy' : 'idle',
+      restarts: Math.max(this.#starts - 1, 0),
+      timeouts: this.#timeouts,
+      lastError: this.#lastError
+    };
+  }
+
+  /**
+   * Sends a request to the worker, starting it on first use or after it was stopped
+   * @private
+   */
+  async #request(message, { timeout = 0, signal } = {}) {
+    if (signal?.aborted) throw abortError();
+    const worker = this.#worker ?? this.#startWorker();
+    const id = this.#nextId++;
+
+    let timer;
+    const result = new Promise((resolve, reject) => {
+      this.#requests.set(id, { resolve, reject });
+    });
+
+    // better-sqlite3 cannot interrupt a statement, so the worker goes instead
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        this.#timeouts++;
+        const error = new Error(`SQLite query timed out after ${timeout} ms`);
+        error.code = 'SQLITE_STATEMENT_TIMEOUT';
+        this.#stopWorker(id, error);
+      }, timeout);
+    }
+    const onAbort = () => this.#stopWorker(id, abortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+    worker.send({ id, ...message });
+
+    try {
+      return await result;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  #startWorker() {
+    const worker = fork(WORKER_PATH, [JSON.stringify({ file: this.#file, readOnly: this.#guard.readOnly })], {
+      // Keeps Infinity (no row cap) and other values intact across the channel
+      serialization: 'advanced',
+      stdio: ['ignore', 'ignore', 'pipe', 'ipc']
+    });
+    this.#starts++;
+
+    let stderr = '';
+    worker.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    worker.on('message', ({ id, result, error }) => {
+      const request = this.#requests.get(id);
+      if (!request) return;
+      this.#requests.delete(id);
+      if (error) {
+        this.#lastError = error.message;
+        request.reject(Object.assign(new Error(error.message), { code: error.code, statementNumber: error.statementNumber }));
+      } else {
+        request.resolve(result);
+      }
+    });
+    worker.on('error', (error) => {
+      this.#lastError = error.message;
+      this.#rejectAll(worker, error);
+    });
+    worker.on('exit', (code, signal) => {
+      const reason = stderr.trim().split('\n').pop() || `exit ${signal ?? code}`;
+      this.#rejectAll(worker, new Error(`SQLite worker stopped unexpectedly: ${reason}`));
+    });
+
+    this.#worker = worker;
+    return worker;
+  }
+
+  #rejectAll(worker, error) {
+    if (this.#worker !== worker) return;
+    this.#worker = null;
+    const requests = [...this.#requests.values()];
+    this.#requests.clear();
+    requests.forEach(({ reject }) => reject(error));
+  }
+
+  /**
+   * Kills the worker; the request `id` fails with `error` and any other pending request with a generic error
+   * @private
+   */
+  #stopWorker(id, error) {
+    const worker = this.#worker;
+    if (!worker) return;
+    this.#requests.get(id)?.reject(error);
+    this.#requests.delete(id);
+    this.#rejectAll(worker, new Error('SQLite worker stopped while another query was cancelled'));
+    worker.kill('SIGKILL');
+  }
+
+  /**
+   * Stops the worker and closes the file
+   */
+  async close() {
+    const worker = this.#worker;
+    if (!worker) return;
+    this.#rejectAll(worker, new Error('SQLite integration closed'));
+    const exited = new Promise(resolve => worker.once('exit', resolve));
+    worker.kill();
+    await exited;
+  }
+}
+
+export default SqliteIntegration;
@@ -0,0 +1,150 @@
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite worker
+ * Child process holding the database connection of a SqliteIntegration.
+ * better-sqlite3 is synchronous and cannot interrupt a statement, so statements
+ * run here to keep the chat responsive, and a statement that overruns its
+ * timeout or is cancelled ends with the process.
+ *
+ * Started with `{ file, readOnly }` as JSON in the first argument. Requests are
+ * `{ id, action, ... }` IPC messages answered with `{ id, result }` or
+ * `{ id, error: { message, code, statementNumber } }`:
+ * - `query`: `{ statements, maxRows }` runs the statements in one transaction
+ * - `describe`: tables and views with their columns and keys
+ * - `ping`: a trivial statement
+ */
+
+const { file, readOnly } = JSON.parse(process.argv[2]);
+
+// A file that cannot be opened fails every request instead of the process
+let db = null;
+let openError = null;
+try {
+  db = new Database(file, { readonly: readOnly, fileMustExist: true });
+} catch (error) {
+  openError = error;
+}
+
+/**
+ * Integers beyond 2^53 become strings instead of losing precision; blobs are
+ * written like PostgreSQL's bytea output (`\x` and hex digits)
+ */
+const toValue = (value) => {
+  if (typeof value === 'bigint') {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(value)
+      : value.toString();
+  }
+  if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+  return value;
+};
+
+// Storage class of a value, for columns without a declared type (expressions, views)
+const storageClassOf = (value) => {
+  if (typeof value === 'bigint') return 'integer';
+  if (typeof value === 'number') return 'real';
+  if (typeof value === 'string') return 'text';
+  if (Buffer.isBuffer(value)) return 'blob';
+  return null;
+};
+
+/**
+ * Runs one statement, reading at most one row past the cap to detect truncation
+ */
+const run = (statement, maxRows) => {
+  const prepared = db.prepare(statement);
+  if (!prepared.reader) {
+    prepared.run();
+    return { rows: [], columns: [], rowCount: 0, truncated: false };
+  }
+
+  prepared.safeIntegers(true);
+  const rows = [];
+  const storageClasses = {};
+  let truncated = false;
+  for (const row of prepared.iterate()) {
+    if (rows.length >= maxRows) {
+      truncated = true;
+      break;
+    }
+    for (const [name, value] of Object.entries(row)) {
+      storageClasses[name] ??= storageClassOf(value);
+    }
+    rows.push(Object.fromEntries(Object.entries(row).map(([name, value]) => [name, toValue(value)])));
+  }
+
+  return {
+    rows,
+    columns: prepared.columns().map(({ name, type }) => ({
+      name,
+      type: type?.toLowerCase() ?? storageClasses[name] ?? 'null',
+      typeId: null
+    })),
+    rowCount: rows.length,
+    truncated
+  };
+};
+
+const query = ({ statements, maxRows }) => {
+  db.exec('BEGIN');
+  try {
+    const results = statements.map((statement, index) => {
+      try {
+        return run(statement, maxRows);
+      } catch (error) {
+        error.statementNumber = index + 1;
+        throw error;
+      }
+    });
+    // Read-only work never needs to be committed
+    db.exec(readOnly ? 'ROLLBACK' : 'COMMIT');
+    return results;
+  } catch (error) {
+    if (db.inTransaction) db.exec('ROLLBACK');
+    throw error;
+  }
+};
+
+const describe = () => {
+  const objects = db.prepare(
+    "SELECT name, type FROM sqlite_schema WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  ).all();
+  const columnsOf = db.prepare('SELECT name, type, "notnull" AS not_null, pk FROM pragma_table_info(?) ORDER BY cid');
+  const foreignKeysOf = db.prepare('SELECT "from" AS column, "table" AS ref_table, "to" AS ref_column FROM pragma_foreign_key_list(?)');
+
+  const columns = [];
+  const keys = [];
+  for (const { name: table, type: kind } of objects) {
+    for (const column of columnsOf.all(table)) {
+      columns.push({
+        schema: 'main',
+        table,
+        kind,
+        column: column.name,
+        type: column.type.toLowerCase() || 'any',
+        nullable: !column.not_null
+      });
+      if (column.pk) keys.push({ schema: 'main', table, column: column.name, primaryKey: true, references: null });
+    }
+    for (const { column, ref_table: refTable, ref_column: refColumn } of foreignKeysOf.all(table)) {
+      keys.push({ schema: 'main', table, column, primaryKey: false, references: `main.${refTable}.${refColumn ?? '?'}` });
+    }
+  }
+  return { columns, keys };
+};
+
+const actions = {
+  query,
+  describe,
+  ping: () => db.prepare('SELECT 1').get()
+};
+
+process.on('message', ({ id, action, ...request }) => {
+  try {
+    if (openError) throw openError;
+    process.send({ id, result: actions[action](request) });
+  } catch (error) {
+    process.send({ id, error: { message: error.message, code: error.code, statementNumber: error.statementNumber } });
+  }
+});
@@ -0,0 +1,205 @@
+import chalk from 'chalk';
+import MarkdownRenderer, { visibleWidth } from './markdown-renderer.js';
+
+// Fence languages whose blocks are executed by the agent loop rather than shown
+const EXECUTABLE_FENCES = new Set(['sql', 'javascript', 'mongodb']);
+
+const HEADING_OR_RULE = /^ {0,3}(#{1,6}\s|([-*_])(\s*\2){2,}\s*$)/;
+
+/**
+ * Stream Renderer
+ * Prints model output as it arrives. Text is echoed raw on a TTY while a
+ * markdown block (paragraph, list, table, code) is still streaming and is
+ * replaced by its rendered form once the block is complete; fenced query
+ * blocks that the agent loop is about to execute are hidden.
+ */
+class StreamRenderer {
+  #markdown;
+  #onStart;
+  #hideExecutable;
+  #output;
+  #buffer = '';
+  #partialShown = 0;
+  #pending = [];
+  #rawRows = 0;
+  #fence = null;
+  #hidden = false;
+  #started = false;
+  #blocks = 0;
+
+  /**
+   * @param {object} [options]
+   * @param {MarkdownRenderer} [options.markdown] - Renders completed blocks
+   * @param {Function} [options.onStart] - Called before the first visible output (e.g. to print a header)
+   * @param {boolean} [options.hideExecutable=true] - Hide ```sql/```javascript/```mongodb blocks
+   * @param {NodeJS.WriteStream} [options.output=process.stdout] - Terminal to write to
+   */
+  constructor(options = {}) {
+    const {
+      output = process.stdout,
+      markdown = new MarkdownRenderer({ output }),
+      onStart = () => {},
+      hideExecutable = true
+    } = options;
+
+    this.#markdown = markdown;
+    this.#onStart = onStart;
+    this.#hideExecutable = hideExecutable;
+    this.#output = output;
+  }
+
+  /**
+   * Whether anything has been printed
+   * @returns {boolean}
+   */
+  get started() {
+    return this.#started;
+  }
+
+  /**
+   * Feeds the next piece of model output
+   * @param {string} chunk - Text as received from the stream
+   */
+  write(chunk) {
+    this.#buffer += chunk;
+
+    let newline;
+    while ((newline = this.#buffer.indexOf('\n')) !== -1) {
+      const line = this.#buffer.slice(0, newline);
+      this.#buffer = this.#buffer.slice(newline + 1);
+      this.#completeLine(line);
+    }
+
+    this.#showPartial();
+  }
+
+  /**
+   * Renders what is left once the stream has finished
+   */
+  end() {
+    if (this.#buffer) {
+      this.#completeLine(this.#buffer);
+      this.#buffer = '';
+    }
+    this.#flush();
+    this.#fence = null;
+    this.#hidden = false;
+  }
+
+  #start() {
+    if (!this.#started) {
+      this.#started = true;
+      this.#onStart();
+    }
+  }
+
+  /**
+   * Raw text is only echoed while it can still be erased, i.e. while it fits on screen
+   * @private
+   */
+  #canEcho(text) {
+    if (!this.#output.isTTY || this.#hidden) return false;
+    const columns = this.#output.columns ?? 80;
+    const rows = Math.max(1, Math.ceil(visibleWidth(text) / columns));
+    return this.#rawRows + rows < (this.#output.rows ?? 24) - 1;
+  }
+
+  /**
+   * Shows the incomplete line raw so tokens appear as they arrive
+   * @private
+   */
+  #showPartial() {
+    const pending = this.#buffer.slice(this.#partialShown);
+    // A line starting with a backtick may turn out to be a hidden fence
+    if (!pending || this.#buffer.trimStart().startsWith('`') || !this.#canEcho(this.#buffer)) return;
+
+    this.#start();
+    this.#output.write(this.#fence ? chalk.gray(pending) : pending);
+    this.#partialShown = this.#buffer.length;
+  }
+
+  /**
+   * Finishes the raw echo of a completed line
+   * @private
+   */
+  #echo(line) {
+    const shown = this.#partialShown;
+    this.#partialShown = 0;
+
+    if (shown === 0 && !this.#canEcho(line)) return;
+    this.#start();
+    const rest = line.slice(shown);
+    this.#output.write((this.#fence ? chalk.gray(rest) : rest) + '\n');
+    this.#rawRows += Math.max(1, Math.ceil(visibleWidth(line) / (this.#output.columns ?? 80)));
+  }
+
+  /**
+   * Replaces the raw echo of the pending block with its rendered form
+   * @private
+   */
+  #flush() {
+    const text = this.#pending.join('\n');
+    this.#pending = [];
+
+    if (this.#rawRows > 0) {
+      this.#output.write(`\x1b[${this.#rawRows}A\r\x1b[J`);
+      this.#rawRows = 0;
+    }
+    if (!text.trim()) return;
+
+    const rendered = this.#markdown.render(text);
+    if (!rendered) return;
+
+    this.#start();
+    this.#output.write((this.#blocks > 0 ? '\n' : '') + rendered + '\n');
+    this.#blocks++;
+  }
+
+  #completeLine(line) {
+    const trimmed = line.trim();
+
+    if (this.#hidden) {
+      if (trimmed.startsWith('```')) {
+        this.#fence = null;
+        this.#hidden = false;
+      }
+      return;
+    }
+
+    if (trimmed.startsWith('```') && this.#fence === null) {
+      const language = trimmed.slice(3).trim().toLowerCase();
+      this.#flush();
+      this.#fence = language;
+      // Query blocks may name their data source, e.g. ```sql:analytics
+      if (this.#hideExecutable && EXECUTABLE_FENCES.has(language.split(':')[0])) {
+        this.#hidden = true;
+        return;
+      }
+      this.#echo(line);
+      this.#pending.push(line);
+      return;
+    }
+
+    this.#echo(line);
+
+    if (this.#fence !== null) {
+      this.#pending.push(line);
+      if (trimmed.startsWith('```')) {
+        this.#fence = null;
+        this.#flush();
+      }
+      return;
+    }
+
+    if (!trimmed) {
+      this.#flush();
+      return;
+    }
+
+    this.#pending.push(line);
+    // A heading or rule ends the block before it and is a block of its own
+    if (HEADING_OR_RULE.test(line)) this.#flush();
+  }
+}
+
+export default StreamRenderer;
@@ -0,0 +1,6 @@
+/**
+ * Rough token estimate used where no tokenizer is available (about 4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
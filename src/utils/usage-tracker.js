@@ -0,0 +1,208 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Prices in USD per million tokens: `input` for prompt tokens, `cached` for prompt
+ * tokens served from the context cache and `output` for answer and thinking tokens.
+ * Models are matched by their longest listed prefix, so versioned names
+ * (gemini-2.5-flash-001) use the price of their family.
+ */
+export const DEFAULT_PRICES = Object.freeze({
+  'gemini-2.5-pro': { input: 1.25, cached: 0.31, output: 10 },
+  'gemini-2.5-flash': { input: 0.30, cached: 0.075, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, cached: 0.025, output: 0.40 },
+  'gemini-2.0-flash': { input: 0.10, cached: 0.025, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, cached: 0.019, output: 0.30 },
+  'gpt-4o': { input: 2.50, cached: 1.25, output: 10 },
+  'gpt-4o-mini': { input: 0.15, cached: 0.075, output: 0.60 }
+});
+
+const TOKEN_FIELDS = ['promptTokens', 'cachedTokens', 'candidatesTokens', 'thoughtsTokens'];
+
+/**
+ * Adds up token counts and costs; the cost is null when no entry had a price
+ * @param {Array<object>} entries - Calls or turns
+ * @returns {{promptTokens: number, cachedTokens: number, candidatesTokens: number, thoughtsTokens: number,
+ *   totalTokens: number, cost: (number|null), estimated: boolean}}
+ */
+const sumUsage = (entries) => {
+  const total = Object.fromEntries(TOKEN_FIELDS.map(field => [field, 0]));
+  let cost = null;
+  for (const entry of entries) {
+    for (const field of TOKEN_FIELDS) total[field] += entry[field] ?? 0;
+    if (typeof entry.cost === 'number') cost = (cost ?? 0) + entry.cost;
+  }
+  return {
+    ...total,
+    totalTokens: total.promptTokens + total.candidatesTokens + total.thoughtsTokens,
+    cost,
+    estimated: entries.some(({ estimated }) => estimated)
+  };
+};
+
+/**
+ * Usage Tracker
+ * Accounts the tokens and estimated cost of every model call. Calls are grouped
+ * into turns (one user question with all its agent-loop follow-ups, summaries and
+ * wrap-ups) together with the loop iterations and the time spent running queries;
+ * finished turns are stored in the session, whose total is held against the
+ * optional spend cap.
+ */
+class UsageTracker {
+  #prices;
+  #spendCap;
+  #turn = null;
+
+  /**
+   * @param {object} [options]
+   * @param {Object<string, {input: number, output: number, cached: number}>} [options.prices] - Price table,
+   *   defaults to DEFAULT_PRICES overridden by the JSON file in MODEL_PRICES_FILE
+   * @param {number|null} [options.spendCap] - Estimated USD a session may spend, defaults to SESSION_SPEND_CAP or none
+   */
+  constructor(options = {}) {
+    const {
+      prices = UsageTracker.#pricesFromEnv(),
+      spendCap = Number(process.env.SESSION_SPEND_CAP) || null
+    } = options;
+
+    this.#prices = prices;
+    this.#spendCap = spendCap;
+  }
+
+  /**
+   * Default prices with the overrides of MODEL_PRICES_FILE, e.g. `{ "my-model": { "input": 1, "output": 4 } }`
+   * @private
+   */
+  static #pricesFromEnv() {
+    const file = process.env.MODEL_PRICES_FILE;
+    if (!file) return DEFAULT_PRICES;
+    try {
+      return { ...DEFAULT_PRICES, ...JSON.parse(readFileSync(file, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Could not read model prices from ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds up the usage of stored turns
+   * @param {Array<object>} turns - Turns as returned by `endTurn`
+   * @returns {object} Token totals and cost (see `sumUsage`) with the turns, requests, iterations and query time
+   */
+  static totals(turns) {
+    return {
+      turns: turns.length,
+      requests: turns.reduce((sum, turn) => sum + (turn.requests ?? 0), 0),
+      iterations: turns.reduce((sum, turn) => sum + (turn.iterations ?? 0), 0),
+      queries: turns.reduce((sum, turn) => sum + (turn.queries ?? 0), 0),
+      queryMs: turns.reduce((sum, turn) => sum + (turn.queryMs ?? 0), 0),
+      ...sumUsage(turns)
+    };
+  }
+
+  /**
+   * Price of a model, by its longest matching prefix
+   * @param {string} model - Model name
+   * @returns {{input: number, output: number, cached: (number|undefined)}|null}
+   */
+  priceOf(model = '') {
+    const match = Object.keys(this.#prices)
+      .filter(name => model === name || model.startsWith(`${name}-`) || model.startsWith(`${name}@`))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.#prices[match] : null;
+  }
+
+  /**
+   * Estimated cost of one call
+   * @param {string} model - Model name
+   * @param {object} usage - `{ promptTokens, cachedTokens, candidatesTokens, thoughtsTokens }`
+   * @returns {number|null} USD, or null when the model has no price
+   */
+  costOf(model, usage) {
+    const price = this.priceOf(model);
+    if (!price) return null;
+    const cached = usage.cachedTokens ?? 0;
+    // Cached tokens are part of the prompt count; thinking is billed as output
+    return ((usage.promptTokens - cached) * price.input
+      + cached * (price.cached ?? price.input)
+      + ((usage.candidatesTokens ?? 0) + (usage.thoughtsTokens ?? 0)) * price.output) / 1e6;
+  }
+
+  /**
+   * Starts accounting a new turn; requests recorded since the last turn ended belong to it
+   */
+  startTurn() {
+    this.#turn ??= { startedAt: new Date().toISOString(), calls: [], queries: 0, queryMs: 0 };
+  }
+
+  /**
+   * Records the usage of one model request; requests outside a turn open one
+   * @param {object} usage - `{ model, promptTokens, cachedTokens, candidatesTokens, thoughtsTokens, estimated }`
+   */
+  record(usage) {
+    if (!this.#turn) this.startTurn();
+    this.#turn.calls.push({ ...usage, cost: this.costOf(usage.model, usage) });
+  }
+
+  /**
+   * Records the time one query took to run
+   * @param {number} durationMs - Execution time
+   */
+  recordQuery(durationMs) {
+    if (!this.#turn) this.startTurn();
+    this.#turn.queries++;
+    this.#turn.queryMs += durationMs;
+  }
+
+  /**
+   * Usage of the turn in progress, null outside a turn
+   * @returns {object|null}
+   */
+  get currentTurn() {
+    if (!this.#turn) return null;
+    const { startedAt, calls, queries, queryMs } = this.#turn;
+    return {
+      startedAt,
+      durationMs: Date.now() - Date.parse(startedAt),
+      requests: calls.length,
+      queries,
+      queryMs,
+      ...sumUsage(calls),
+      models: [...new Set(calls.map(({ model }) => model))],
+      calls
+    };
+  }
+
+  /**
+   * Closes the turn in progress
+   * @param {object} [details]
+   * @param {number} [details.iterations] - Query rounds of the agent loop
+   * @returns {object|null} The turn to store in the session, null when no turn was open
+   */
+  endTurn(details = {}) {
+    const turn = this.currentTurn;
+    this.#turn = null;
+    return turn && { ...turn, iterations: details.iterations ?? 0 };
+  }
+
+  /**
+   * Estimated USD a session may spend, null without a cap
+   * @returns {number|null}
+   */
+  get spendCap() {
+    return this.#spendCap;
+  }
+
+  /**
+   * Why no further model call may be made, given the turns stored in the session
+   * @param {Array<object>} turns - Finished turns of the session
+   * @returns {string|null} The reason, or null while the session is below its spend cap
+   */
+  capReason(turns) {
+    if (!this.#spendCap) return null;
+    const spent = UsageTracker.totals([...turns, ...(this.#turn ? [this.currentTurn] : [])]).cost ?? 0;
+    return spent >= this.#spendCap
+      ? `the session spent about $${spent.toFixed(4)}, reaching its cap of $${this.#spendCap}`
+      : null;
+  }
+}
+
+export default UsageTracker;